@@ -0,0 +1,84 @@
+'use strict';
+
+const { readdirSync, readFileSync } = require('fs');
+const { join, extname } = require('path');
+const {
+    Wallet,
+    BigNumber,
+    utils: { defaultAbiCoder, arrayify, keccak256 },
+} = require('ethers');
+const { sortBy, zip } = require('lodash');
+
+const { getExecuteInput, sortOperators } = require('./command-batch');
+
+const getWeightedProof = (operators, weights, threshold, signatures) =>
+    defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256', 'bytes[]'], [operators, weights, threshold, signatures]);
+
+// signatures have to be ordered the same way as the operators for AxelarAuthWeighted._validateSignatures to match them
+async function signBatch(data, { operators, weights, threshold }, signers) {
+    const sorted = sortOperators(operators, weights);
+    const operatorIndex = Object.fromEntries(sorted.operators.map((operator, i) => [operator.toLowerCase(), i]));
+
+    const signerAddresses = await Promise.all(signers.map((signer) => signer.getAddress()));
+    const sortedSigners = sortBy(zip(signerAddresses, signers), ([address]) => address.toLowerCase());
+
+    let signedWeight = BigNumber.from(0);
+
+    sortedSigners.forEach(([address], i) => {
+        const index = operatorIndex[address.toLowerCase()];
+
+        if (index === undefined) {
+            throw new Error(`Signer ${address} is not part of the operator set`);
+        }
+
+        if (i > 0 && sortedSigners[i - 1][0].toLowerCase() === address.toLowerCase()) {
+            throw new Error(`Duplicate signer ${address}`);
+        }
+
+        signedWeight = signedWeight.add(sorted.weights[index]);
+    });
+
+    if (signedWeight.lt(threshold)) {
+        throw new Error(`Signers weight ${signedWeight} is below the threshold ${threshold}`);
+    }
+
+    const hash = arrayify(keccak256(data));
+    const signatures = await Promise.all(sortedSigners.map(([, signer]) => signer.signMessage(hash)));
+
+    return getWeightedProof(sorted.operators, sorted.weights, threshold, signatures);
+}
+
+const getSignedExecuteInput = async (data, operatorSet, signers) => getExecuteInput(data, await signBatch(data, operatorSet, signers));
+
+// loads encrypted JSON keystores (*.json) and mnemonic phrases (*.txt, *.mnemonic) from a directory
+async function loadOperatorWallets(keysDir, { password, derivationPath } = {}) {
+    const wallets = [];
+
+    for (const file of readdirSync(keysDir).sort()) {
+        const path = join(keysDir, file);
+        const extension = extname(file);
+
+        if (extension === '.json') {
+            if (password === undefined) {
+                throw new Error(`A password is required to decrypt keystore ${path}`);
+            }
+
+            wallets.push(await Wallet.fromEncryptedJson(readFileSync(path, 'utf8'), password));
+        } else if (extension === '.txt' || extension === '.mnemonic') {
+            wallets.push(Wallet.fromMnemonic(readFileSync(path, 'utf8').trim(), derivationPath));
+        }
+    }
+
+    if (wallets.length === 0) {
+        throw new Error(`No keystores or mnemonics found in ${keysDir}`);
+    }
+
+    return wallets;
+}
+
+module.exports = {
+    getWeightedProof,
+    signBatch,
+    getSignedExecuteInput,
+    loadOperatorWallets,
+};
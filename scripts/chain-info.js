@@ -0,0 +1,229 @@
+'use strict';
+
+const { parseArgs } = require('node:util');
+const { readFileSync } = require('fs');
+const {
+    utils: { isAddress },
+} = require('ethers');
+
+const { printLog, getInfoPath } = require('./utils');
+
+const string = { type: 'string', minLength: 1 };
+const address = { type: 'string', format: 'address' };
+const url = { type: 'string', pattern: '^https?://' };
+const amount = { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 0 };
+
+const upgradable = { salt: string, address, implementation: address, deployer: address };
+
+// a subset of JSON schema, see validate for the supported keywords
+const CONTRACT_SCHEMAS = {
+    AxelarGateway: {
+        type: 'object',
+        properties: {
+            address,
+            implementation: address,
+            authModule: address,
+            tokenDeployer: address,
+            deployer: address,
+            governance: address,
+            mintLimiter: address,
+        },
+    },
+    AxelarGasService: {
+        type: 'object',
+        required: ['collector'],
+        properties: { ...upgradable, collector: address },
+    },
+    AxelarDepositService: {
+        type: 'object',
+        required: ['refundIssuer'],
+        properties: { ...upgradable, wrappedSymbol: { type: 'string' }, refundIssuer: address },
+    },
+};
+
+const CHAIN_SCHEMA = {
+    type: 'object',
+    required: ['name', 'id', 'chainId', 'rpc', 'tokenSymbol'],
+    properties: {
+        name: string,
+        id: string,
+        chainId: { type: 'integer', minimum: 1 },
+        rpc: { type: 'string', pattern: '^(https?|wss?)://' },
+        gateway: address,
+        constAddressDeployer: address,
+        gasReceiver: address,
+        tokenName: string,
+        tokenSymbol: string,
+        wrappedSymbol: { type: 'string' },
+        confirmations: { type: 'integer', minimum: 0 },
+        explorer: { type: 'object', required: ['url'], properties: { url, api: url } },
+        gasOptions: {
+            type: 'object',
+            properties: { gasLimit: { type: 'integer', minimum: 1 }, gasPrice: amount, maxFeePerGas: amount, maxPriorityFeePerGas: amount },
+        },
+        // the required fields of a contract block are only checked for the contracts being deployed, see getChainSchema
+        ...Object.fromEntries(Object.entries(CONTRACT_SCHEMAS).map(([contract, { required, ...schema }]) => [contract, schema])),
+    },
+};
+
+// chain fields that deploying or upgrading a contract depends on, besides its own block
+const CONTRACT_REQUIREMENTS = {
+    AxelarGasService: ['constAddressDeployer'],
+    AxelarDepositService: ['constAddressDeployer', 'gateway'],
+};
+
+const getType = (value) => {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+
+    return typeof value;
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+function validate(schema, value, path, errors) {
+    const types = [].concat(schema.type || []);
+    const type = getType(value);
+
+    if (types.length > 0 && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        errors.push({ path, message: `must be of type ${types.join(' or ')}, got ${type}` });
+        return;
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: 'must not be empty' });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path, message: `must match ${schema.pattern}` });
+        if (schema.format === 'address' && !isAddress(value)) errors.push({ path, message: `must be an address, got ${value}` });
+    }
+
+    if ((type === 'integer' || type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+
+    if (type === 'object') {
+        (schema.required || [])
+            .filter((key) => value[key] === undefined)
+            .forEach((key) => errors.push({ path: join(path, key), message: 'is required' }));
+
+        Object.entries(schema.properties || {})
+            .filter(([key]) => value[key] !== undefined)
+            .forEach(([key, property]) => validate(property, value[key], join(path, key), errors));
+    }
+
+    if (type === 'array' && schema.items) {
+        value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, errors));
+    }
+
+    return errors;
+}
+
+// the schema of a chain that the given contracts are deployed or upgraded on
+function getChainSchema(contracts = []) {
+    const required = contracts.flatMap((contract) => {
+        if (!CONTRACT_SCHEMAS[contract]) throw new Error(`No schema for ${contract}`);
+
+        return [contract, ...(CONTRACT_REQUIREMENTS[contract] || [])];
+    });
+
+    return {
+        ...CHAIN_SCHEMA,
+        required: [...new Set([...CHAIN_SCHEMA.required, ...required])],
+        properties: {
+            ...CHAIN_SCHEMA.properties,
+            ...Object.fromEntries(contracts.map((contract) => [contract, CONTRACT_SCHEMAS[contract]])),
+        },
+    };
+}
+
+// returns [{ path, message }] for a single chain entry, paths start with the given prefix
+function validateChain(chain, { contracts, path = '' } = {}) {
+    return validate(getChainSchema(contracts), chain, path, []);
+}
+
+// validates every chain of an info file, and that their names, ids and chain ids are unique
+function validateChainInfo(chains, { contracts } = {}) {
+    if (!Array.isArray(chains)) return [{ path: '', message: 'must be an array of chains' }];
+
+    const errors = chains.flatMap((chain, i) => validateChain(chain, { contracts, path: `[${i}]` }));
+
+    for (const key of ['name', 'id', 'chainId']) {
+        const seen = {};
+
+        chains.forEach((chain, i) => {
+            const value = typeof chain?.[key] === 'string' ? chain[key].toLowerCase() : chain?.[key];
+
+            if (value === undefined) return;
+
+            if (seen[value] !== undefined) {
+                errors.push({ path: `[${i}].${key}`, message: `duplicates [${seen[value]}].${key}` });
+                return;
+            }
+
+            seen[value] = i;
+        });
+    }
+
+    return errors;
+}
+
+const formatErrors = (errors) => errors.map(({ path, message }) => `${path || '(root)'} ${message}`).join('\n');
+
+function assertChainInfo(chains, options = {}, source = 'the chain info') {
+    const errors = validateChainInfo(chains, options);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${source}:\n${formatErrors(errors)}`);
+    }
+
+    return chains;
+}
+
+// scripts load the chain info through this to fail before touching any chain
+const loadChainInfo = (infoPath, options) => assertChainInfo(JSON.parse(readFileSync(infoPath, 'utf8')), options, infoPath);
+
+async function main(values) {
+    const infoPath = values.info || getInfoPath(values.env);
+    const contracts = values.contracts ? values.contracts.split(',') : [];
+    const errors = validateChainInfo(JSON.parse(readFileSync(infoPath, 'utf8')), { contracts });
+
+    if (errors.length > 0) {
+        console.table(errors);
+        printLog(`${infoPath} has ${errors.length} error(s)`);
+        process.exitCode = 1;
+        return;
+    }
+
+    printLog(`${infoPath} is valid${contracts.length > 0 ? ` for ${contracts.join(', ')}` : ''}`);
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            info: { type: 'string' },
+            contracts: { type: 'string' },
+        },
+    });
+
+    if (!values.env && !values.info) {
+        console.error('Usage: node scripts/chain-info.js (--env <env> | --info <chain info file>) [--contracts <contract,...>]');
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    CHAIN_SCHEMA,
+    CONTRACT_SCHEMAS,
+    getChainSchema,
+    validateChain,
+    validateChainInfo,
+    assertChainInfo,
+    loadChainInfo,
+    formatErrors,
+};
@@ -0,0 +1,322 @@
+'use strict';
+
+const {
+    BigNumber,
+    utils: { defaultAbiCoder, arrayify, hexlify, randomBytes, id, isAddress, isHexString, Interface, ParamType },
+} = require('ethers');
+const { sortBy, zip } = require('lodash');
+
+// command names and param layouts as decoded by AxelarGateway, selectors match the gateway's SELECTOR_* constants
+const COMMANDS = {
+    deployToken: ['string name', 'string symbol', 'uint8 decimals', 'uint256 cap', 'address tokenAddress', 'uint256 mintLimit'],
+    mintToken: ['string symbol', 'address account', 'uint256 amount'],
+    burnToken: ['string symbol', 'bytes32 salt'],
+    approveContractCall: [
+        'string sourceChain',
+        'string sourceAddress',
+        'address contractAddress',
+        'bytes32 payloadHash',
+        'bytes32 sourceTxHash',
+        'uint256 sourceEventIndex',
+    ],
+    approveContractCallWithMint: [
+        'string sourceChain',
+        'string sourceAddress',
+        'address contractAddress',
+        'bytes32 payloadHash',
+        'string symbol',
+        'uint256 amount',
+        'bytes32 sourceTxHash',
+        'uint256 sourceEventIndex',
+    ],
+    transferOperatorship: ['address[] newOperators', 'uint256[] newWeights', 'uint256 newThreshold'],
+};
+
+const SELECTORS = Object.fromEntries(Object.keys(COMMANDS).map((name) => [id(name), name]));
+
+const executeInterface = new Interface(['function execute(bytes input)']);
+
+// gas estimation can't be trusted for execute, a command that runs out of gas fails without reverting the batch
+const EXECUTE_GAS_LIMIT = 6e6;
+
+const BATCH_TYPES = ['uint256 chainId', 'bytes32[] commandIds', 'string[] commands', 'bytes[] params'];
+
+const getCommandSelector = (commandName) => id(commandName);
+
+const isKnownCommand = (commandName) => SELECTORS[getCommandSelector(commandName)] !== undefined;
+
+const getCommandParamTypes = (commandName) => {
+    if (!isKnownCommand(commandName)) {
+        throw new Error(`Unknown command ${commandName}`);
+    }
+
+    return COMMANDS[commandName].map((param) => ParamType.from(param));
+};
+
+const getRandomCommandID = () => hexlify(randomBytes(32));
+
+const validateValue = (param, value, path) => {
+    if (param.baseType === 'array') {
+        if (!Array.isArray(value)) {
+            throw new Error(`${path}: expected an array, got ${value}`);
+        }
+
+        value.forEach((item, i) => validateValue(param.arrayChildren, item, `${path}[${i}]`));
+        return;
+    }
+
+    if (param.type === 'address') {
+        if (!isAddress(value)) throw new Error(`${path}: invalid address ${value}`);
+    } else if (param.type === 'string') {
+        if (typeof value !== 'string') throw new Error(`${path}: expected a string, got ${value}`);
+    } else if (param.type === 'bytes32') {
+        if (!isHexString(value, 32)) throw new Error(`${path}: expected a 32 byte hex string, got ${value}`);
+    } else if (param.type.startsWith('uint')) {
+        const bits = Number(param.type.slice(4) || 256);
+        let number;
+
+        try {
+            number = BigNumber.from(value);
+        } catch (err) {
+            throw new Error(`${path}: invalid ${param.type} ${value}`);
+        }
+
+        if (number.isNegative() || number.gte(BigNumber.from(2).pow(bits))) {
+            throw new Error(`${path}: ${value} is out of range for ${param.type}`);
+        }
+    } else {
+        throw new Error(`${path}: unsupported type ${param.type}`);
+    }
+};
+
+const validateCommandParams = (commandName, values) => {
+    const params = getCommandParamTypes(commandName);
+
+    if (!Array.isArray(values)) {
+        values = params.map((param) => values[param.name]);
+    }
+
+    if (values.length !== params.length) {
+        throw new Error(`${commandName}: expected ${params.length} params, got ${values.length}`);
+    }
+
+    params.forEach((param, i) => validateValue(param, values[i], `${commandName}.${param.name}`));
+
+    return values;
+};
+
+const encodeCommandParams = (commandName, values) =>
+    defaultAbiCoder.encode(getCommandParamTypes(commandName), validateCommandParams(commandName, values));
+
+const getDeployCommand = (name, symbol, decimals, cap, tokenAddress, dailyMintLimit) =>
+    defaultAbiCoder.encode(
+        ['string', 'string', 'uint8', 'uint256', 'address', 'uint256'],
+        [name, symbol, decimals, cap, tokenAddress, dailyMintLimit],
+    );
+
+const getMintCommand = (symbol, address, amount) => defaultAbiCoder.encode(['string', 'address', 'uint256'], [symbol, address, amount]);
+
+const getBurnCommand = (symbol, salt) => defaultAbiCoder.encode(['string', 'bytes32'], [symbol, salt]);
+
+const byAddress = (address) => String(address).toLowerCase();
+
+// the auth module expects operators sorted by address, so weights are sorted along with them
+const sortOperators = (operators, weights) => {
+    if (operators.length !== weights.length) {
+        throw new Error(`Operators and weights length mismatch: ${operators.length} != ${weights.length}`);
+    }
+
+    const sorted = sortBy(zip(operators, weights), ([operator]) => byAddress(operator));
+
+    return {
+        operators: sorted.map(([operator]) => operator),
+        weights: sorted.map(([, weight]) => weight),
+    };
+};
+
+// weights that don't pair up with the operators are encoded as they are for the auth module to reject
+const getTransferWeightedOperatorshipCommand = (newOperators, newWeights, threshold) => {
+    const { operators, weights } =
+        newOperators.length === newWeights.length
+            ? sortOperators(newOperators, newWeights)
+            : { operators: sortBy(newOperators, byAddress), weights: newWeights };
+
+    return defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [operators, weights, threshold]);
+};
+
+const getApproveContractCall = (sourceChain, source, destination, payloadHash, sourceTxHash, sourceEventIndex) =>
+    defaultAbiCoder.encode(
+        ['string', 'string', 'address', 'bytes32', 'bytes32', 'uint256'],
+        [sourceChain, source, destination, payloadHash, sourceTxHash, sourceEventIndex],
+    );
+
+const getApproveContractCallWithMint = (sourceChain, source, destination, payloadHash, symbol, amount, sourceTxHash, sourceEventIndex) =>
+    defaultAbiCoder.encode(
+        ['string', 'string', 'address', 'bytes32', 'string', 'uint256', 'bytes32', 'uint256'],
+        [sourceChain, source, destination, payloadHash, symbol, amount, sourceTxHash, sourceEventIndex],
+    );
+
+const buildCommandBatch = (chainId, commandIDs, commandNames, commands) =>
+    arrayify(defaultAbiCoder.encode(['uint256', 'bytes32[]', 'string[]', 'bytes[]'], [chainId, commandIDs, commandNames, commands]));
+
+const getExecuteInput = (data, proof) => defaultAbiCoder.encode(['bytes', 'bytes'], [data, proof]);
+
+const getExecuteCalldata = (input) => executeInterface.encodeFunctionData('execute', [input]);
+
+class CommandBatch {
+    constructor(chainId) {
+        validateValue(ParamType.from('uint256'), chainId, 'chainId');
+
+        this.chainId = BigNumber.from(chainId).toString();
+        this.commandIDs = [];
+        this.commandNames = [];
+        this.commands = [];
+    }
+
+    // accepts both the encoded form produced by toJSON and a readable form with { name, params, commandID } entries
+    static fromJSON({ chainId, commandIDs = [], commandNames = [], commands }) {
+        const batch = new CommandBatch(chainId);
+
+        if (
+            (commandIDs.length > 0 || commandNames.length > 0) &&
+            (commandIDs.length !== commands.length || commandNames.length !== commands.length)
+        ) {
+            throw new Error('commandIDs, commandNames and commands must have the same length');
+        }
+
+        commands.forEach((command, i) => {
+            if (typeof command === 'string') {
+                if (commandNames[i] === undefined || commandIDs[i] === undefined) {
+                    throw new Error(`Missing command name or ID for encoded command ${i}`);
+                }
+
+                batch.addEncodedCommand(commandNames[i], command, commandIDs[i]);
+            } else {
+                batch.addCommand(command.name, command.params, command.commandID);
+            }
+        });
+
+        return batch;
+    }
+
+    get length() {
+        return this.commandIDs.length;
+    }
+
+    addCommand(commandName, params, commandID = getRandomCommandID()) {
+        return this.addEncodedCommand(commandName, encodeCommandParams(commandName, params), commandID);
+    }
+
+    addEncodedCommand(commandName, command, commandID = getRandomCommandID()) {
+        validateValue(ParamType.from('bytes32'), commandID, 'commandID');
+
+        if (this.commandIDs.find((existing) => existing.toLowerCase() === commandID.toLowerCase())) {
+            throw new Error(`Duplicate commandID ${commandID}`);
+        }
+
+        if (!isHexString(command)) {
+            throw new Error(`${commandName}: encoded params must be a hex string`);
+        }
+
+        // the gateway skips unknown commands, so this only validates the param encoding of known ones
+        if (isKnownCommand(commandName)) {
+            defaultAbiCoder.decode(getCommandParamTypes(commandName), command);
+        }
+
+        this.commandIDs.push(commandID);
+        this.commandNames.push(commandName);
+        this.commands.push(command);
+
+        return this;
+    }
+
+    deployToken(name, symbol, decimals, cap, tokenAddress, mintLimit, commandID) {
+        return this.addCommand('deployToken', [name, symbol, decimals, cap, tokenAddress, mintLimit], commandID);
+    }
+
+    mintToken(symbol, account, amount, commandID) {
+        return this.addCommand('mintToken', [symbol, account, amount], commandID);
+    }
+
+    burnToken(symbol, salt, commandID) {
+        return this.addCommand('burnToken', [symbol, salt], commandID);
+    }
+
+    approveContractCall(sourceChain, sourceAddress, contractAddress, payloadHash, sourceTxHash, sourceEventIndex, commandID) {
+        return this.addCommand(
+            'approveContractCall',
+            [sourceChain, sourceAddress, contractAddress, payloadHash, sourceTxHash, sourceEventIndex],
+            commandID,
+        );
+    }
+
+    approveContractCallWithMint(
+        sourceChain,
+        sourceAddress,
+        contractAddress,
+        payloadHash,
+        symbol,
+        amount,
+        sourceTxHash,
+        sourceEventIndex,
+        commandID,
+    ) {
+        return this.addCommand(
+            'approveContractCallWithMint',
+            [sourceChain, sourceAddress, contractAddress, payloadHash, symbol, amount, sourceTxHash, sourceEventIndex],
+            commandID,
+        );
+    }
+
+    transferOperatorship(newOperators, newWeights, newThreshold, commandID) {
+        if (!Array.isArray(newOperators) || !Array.isArray(newWeights) || newOperators.length !== newWeights.length) {
+            throw new Error('transferOperatorship: operators and weights must have the same length');
+        }
+
+        const { operators, weights } = sortOperators(newOperators, newWeights);
+
+        return this.addCommand('transferOperatorship', [operators, weights, newThreshold], commandID);
+    }
+
+    encode() {
+        return buildCommandBatch(this.chainId, this.commandIDs, this.commandNames, this.commands);
+    }
+
+    getExecuteInput(proof) {
+        return getExecuteInput(this.encode(), proof);
+    }
+
+    toJSON() {
+        return {
+            chainId: this.chainId,
+            commandIDs: this.commandIDs,
+            commandNames: this.commandNames,
+            commands: this.commands,
+        };
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    SELECTORS,
+    BATCH_TYPES,
+    EXECUTE_GAS_LIMIT,
+    executeInterface,
+    CommandBatch,
+    getCommandSelector,
+    isKnownCommand,
+    getCommandParamTypes,
+    getRandomCommandID,
+    validateCommandParams,
+    encodeCommandParams,
+    getDeployCommand,
+    getMintCommand,
+    getBurnCommand,
+    sortOperators,
+    getTransferWeightedOperatorshipCommand,
+    getApproveContractCall,
+    getApproveContractCallWithMint,
+    buildCommandBatch,
+    getExecuteInput,
+    getExecuteCalldata,
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const {
+    providers: { JsonRpcProvider },
+    utils: { isHexString },
+} = require('ethers');
+
+const { printObj } = require('./utils');
+const { decodeExecuteInput } = require('./execute-decoder');
+
+async function getCalldata(input, url) {
+    // a 32 byte hex string can't be a valid execute input, so it's treated as a tx hash
+    if (!isHexString(input, 32)) {
+        return input;
+    }
+
+    const provider = new JsonRpcProvider(url);
+    const tx = await provider.getTransaction(input);
+
+    if (!tx) {
+        throw new Error(`Transaction ${input} not found on ${url}`);
+    }
+
+    return tx.data;
+}
+
+async function decode(input, url) {
+    const decoded = decodeExecuteInput(await getCalldata(input, url));
+    const skipped = decoded.batch.commands.filter((command) => command.warning);
+
+    return {
+        ...decoded,
+        warnings: skipped.map(({ commandID, name, warning }) => ({ commandID, name, warning })),
+    };
+}
+
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        options: {
+            url: { type: 'string', default: process.env.URL || 'http://127.0.0.1:8545' },
+        },
+        allowPositionals: true,
+    });
+
+    if (positionals.length !== 1) {
+        console.error('Usage: node scripts/decode-execute.js <calldata | tx hash> [--url <rpc url>]');
+        process.exit(1);
+    }
+
+    decode(positionals[0], values.url)
+        .then(printObj)
+        .catch((err) => {
+            console.error(err);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    decode,
+};
@@ -0,0 +1,252 @@
+'use strict';
+
+const { resolve, join } = require('path');
+const {
+    Contract,
+    ContractFactory,
+    utils: { defaultAbiCoder, Interface },
+} = require('ethers');
+const { isEqual } = require('lodash');
+const { predictContractConstant } = require('@axelar-network/axelar-gmp-sdk-solidity');
+const { getSaltFromKey } = require('@axelar-network/axelar-gmp-sdk-solidity/scripts/utils');
+const ConstAddressDeployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/ConstAddressDeployer.sol/ConstAddressDeployer.json');
+
+const { getSalt } = require('./deploy-upgradable');
+
+// artifacts of the current release, legacy recipes load theirs from the artifacts directory of the matching release
+const ARTIFACT_PATHS = {
+    AxelarAuthWeighted: 'artifacts/contracts/auth/AxelarAuthWeighted.sol/AxelarAuthWeighted.json',
+    TokenDeployer: 'artifacts/contracts/TokenDeployer.sol/TokenDeployer.json',
+    AxelarGateway: 'artifacts/contracts/AxelarGateway.sol/AxelarGateway.json',
+    AxelarGatewayProxy: 'artifacts/contracts/AxelarGatewayProxy.sol/AxelarGatewayProxy.json',
+    AxelarGasService: 'artifacts/contracts/gas-service/AxelarGasService.sol/AxelarGasService.json',
+    AxelarGasServiceProxy: 'artifacts/contracts/gas-service/AxelarGasServiceProxy.sol/AxelarGasServiceProxy.json',
+    AxelarDepositService: 'artifacts/contracts/deposit-service/AxelarDepositService.sol/AxelarDepositService.json',
+    AxelarDepositServiceProxy: 'artifacts/contracts/deposit-service/AxelarDepositServiceProxy.sol/AxelarDepositServiceProxy.json',
+};
+
+const OWNABLE_ABI = ['function owner() view returns (address)', 'function transferOwnership(address newOwner)'];
+
+const recipes = {};
+
+function loadArtifact(contractName, artifactsDir) {
+    if (artifactsDir) {
+        return require(resolve(artifactsDir, `${contractName}.json`));
+    }
+
+    if (!ARTIFACT_PATHS[contractName]) {
+        throw new Error(`${contractName} is not part of this release, pass the artifacts directory of the release that ships it`);
+    }
+
+    return require(join(__dirname, '..', ARTIFACT_PATHS[contractName]));
+}
+
+const deployStep = (name, contractName, getArgs = () => []) => ({ name, contractName, getArgs });
+
+const transferAuthOwnershipStep = {
+    name: 'transferAuthOwnership',
+    async run({ address, wallet, options }) {
+        const auth = new Contract(address('auth'), OWNABLE_ABI, wallet);
+
+        // a previous run may have sent the transfer without recording it
+        if ((await auth.owner()) === address('gatewayProxy')) return {};
+
+        const receipt = await auth.transferOwnership(address('gatewayProxy'), options).then((tx) => tx.wait());
+
+        return { transactionHash: receipt.transactionHash };
+    },
+};
+
+// same deployment as deployUpgradable, split up so every tx hash is journaled before it is mined and a rerun
+// picks up an implementation or proxy that a crashed run already deployed
+const upgradableStep = (name, contractName, getArgs) => ({
+    name,
+    async run(ctx) {
+        const { env, chain, wallet, options, artifactsDir, journaled, record } = ctx;
+        const salt = getSalt(env, contractName);
+
+        if (!chain.constAddressDeployer) {
+            throw new Error(`Missing constAddressDeployer for ${chain.name} in the chain info`);
+        }
+
+        const implementationJson = loadArtifact(contractName, artifactsDir);
+        const proxyJson = loadArtifact(`${contractName}Proxy`, artifactsDir);
+        const address = await predictContractConstant(chain.constAddressDeployer, wallet, proxyJson, salt);
+
+        // the create2 address can only be deployed to once, so a proxy that is already there is reused
+        if ((await wallet.provider.getCode(address)) !== '0x') {
+            const proxy = new Contract(address, implementationJson.abi, wallet);
+
+            return { address, implementation: await proxy.implementation(), salt };
+        }
+
+        const constructorArgs = getArgs(ctx);
+        let implementation = journaled.implementation;
+
+        if (
+            !implementation ||
+            !isEqual(journaled.constructorArgs, constructorArgs) ||
+            (await wallet.provider.getCode(implementation)) === '0x'
+        ) {
+            const factory = new ContractFactory(implementationJson.abi, implementationJson.bytecode, wallet);
+            const contract = await factory.deploy(...constructorArgs, options);
+
+            record({ implementation: contract.address, implementationTransactionHash: contract.deployTransaction.hash, constructorArgs });
+            await contract.deployed();
+
+            implementation = contract.address;
+        }
+
+        const deployer = new Contract(chain.constAddressDeployer, ConstAddressDeployer.abi, wallet);
+        const initData = new Interface(proxyJson.abi).encodeFunctionData('init', [implementation, wallet.address, '0x']);
+        const tx = await deployer.deployAndInit(proxyJson.bytecode, getSaltFromKey(salt), initData, options);
+
+        record({ address, salt, transactionHash: tx.hash });
+        await tx.wait();
+
+        return { address, implementation, salt };
+    },
+});
+
+const weightedOperatorsParams = ({ addresses, weights, threshold }) => [
+    defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [addresses, weights, threshold]),
+];
+
+const getProxyInfo = ({ salt, address, implementation }) => ({ salt, address, implementation });
+
+function updateGatewayInfo(chain, steps, deployer, extra = {}) {
+    chain.gateway = steps.gatewayProxy.address;
+    chain.AxelarGateway = {
+        ...chain.AxelarGateway,
+        address: steps.gatewayProxy.address,
+        implementation: steps.gatewayImplementation.address,
+        implementationCodeHash: steps.gatewayImplementation.codeHash,
+        authModule: steps.auth?.address,
+        tokenDeployer: steps.tokenDeployer.address,
+        deployer,
+        ...extra,
+    };
+}
+
+function registerRecipe(recipe) {
+    recipes[recipe.version] = recipe;
+}
+
+function getRecipe(version) {
+    if (!recipes[version]) {
+        throw new Error(`Unknown recipe ${version}, available recipes: ${Object.keys(recipes).join(', ')}`);
+    }
+
+    return recipes[version];
+}
+
+registerRecipe({
+    version: 'v6.x',
+    description: 'weighted auth gateway with governance and mint limiter, gas service and deposit service',
+    config: ['operators', 'governance', 'mintLimiter', 'gasCollector', 'depositService'],
+    steps: [
+        deployStep('auth', 'AxelarAuthWeighted', ({ config }) => [weightedOperatorsParams(config.operators)]),
+        deployStep('tokenDeployer', 'TokenDeployer'),
+        deployStep('gatewayImplementation', 'AxelarGateway', ({ address }) => [address('auth'), address('tokenDeployer')]),
+        deployStep('gatewayProxy', 'AxelarGatewayProxy', ({ address, config }) => [
+            address('gatewayImplementation'),
+            defaultAbiCoder.encode(['address', 'address', 'bytes'], [config.governance, config.mintLimiter, '0x']),
+        ]),
+        transferAuthOwnershipStep,
+        upgradableStep('gasService', 'AxelarGasService', ({ config }) => [config.gasCollector]),
+        upgradableStep('depositService', 'AxelarDepositService', ({ address, config }) => [
+            address('gatewayProxy'),
+            config.depositService.wrappedSymbol,
+            config.depositService.refundIssuer,
+        ]),
+    ],
+    updateInfo(chain, steps, config, deployer) {
+        updateGatewayInfo(chain, steps, deployer, { governance: config.governance, mintLimiter: config.mintLimiter });
+
+        chain.gasReceiver = steps.gasService.address;
+        chain.AxelarGasService = { ...chain.AxelarGasService, ...getProxyInfo(steps.gasService), deployer, collector: config.gasCollector };
+        chain.AxelarDepositService = {
+            ...chain.AxelarDepositService,
+            ...getProxyInfo(steps.depositService),
+            deployer,
+            ...config.depositService,
+        };
+    },
+});
+
+registerRecipe({
+    version: 'v4.3.x',
+    description: 'weighted auth gateway with multisig admins',
+    legacy: true,
+    config: ['operators', 'admins'],
+    steps: [
+        deployStep('auth', 'AxelarAuthWeighted', ({ config }) => [weightedOperatorsParams(config.operators)]),
+        deployStep('tokenDeployer', 'TokenDeployer'),
+        deployStep('gatewayImplementation', 'AxelarGateway', ({ address }) => [address('auth'), address('tokenDeployer')]),
+        deployStep('gatewayProxy', 'AxelarGatewayProxy', ({ address, config }) => [
+            address('gatewayImplementation'),
+            defaultAbiCoder.encode(['address[]', 'uint8', 'bytes'], [config.admins.addresses, config.admins.threshold, '0x']),
+        ]),
+        transferAuthOwnershipStep,
+    ],
+    updateInfo(chain, steps, config, deployer) {
+        updateGatewayInfo(chain, steps, deployer, { admins: config.admins });
+    },
+});
+
+registerRecipe({
+    version: 'v4.0.x',
+    description: 'multisig auth gateway with multisig admins',
+    legacy: true,
+    config: ['multisigOperators', 'admins'],
+    steps: [
+        deployStep('auth', 'AxelarAuthMultisig', ({ config: { multisigOperators } }) => [
+            [defaultAbiCoder.encode(['address[]', 'uint256'], [multisigOperators.addresses, multisigOperators.threshold])],
+        ]),
+        deployStep('tokenDeployer', 'TokenDeployer'),
+        deployStep('gatewayImplementation', 'AxelarGateway', ({ address }) => [address('auth'), address('tokenDeployer')]),
+        deployStep('gatewayProxy', 'AxelarGatewayProxy', ({ address, config }) => [
+            address('gatewayImplementation'),
+            defaultAbiCoder.encode(['address[]', 'uint8', 'bytes'], [config.admins.addresses, config.admins.threshold, '0x']),
+        ]),
+        transferAuthOwnershipStep,
+    ],
+    updateInfo(chain, steps, config, deployer) {
+        updateGatewayInfo(chain, steps, deployer, { admins: config.admins });
+    },
+});
+
+registerRecipe({
+    version: 'v3.2.x',
+    description: 'multisig gateway with admins, owners and operators set in the proxy',
+    legacy: true,
+    config: ['multisigOperators', 'admins', 'owners'],
+    steps: [
+        deployStep('tokenDeployer', 'TokenDeployer'),
+        deployStep('gatewayImplementation', 'AxelarGatewayMultisig', ({ address }) => [address('tokenDeployer')]),
+        deployStep('gatewayProxy', 'AxelarGatewayProxy', ({ address, config: { admins, owners, multisigOperators } }) => [
+            address('gatewayImplementation'),
+            defaultAbiCoder.encode(
+                ['address[]', 'uint8', 'address[]', 'uint8', 'address[]', 'uint8'],
+                [
+                    admins.addresses,
+                    admins.threshold,
+                    owners.addresses,
+                    owners.threshold,
+                    multisigOperators.addresses,
+                    multisigOperators.threshold,
+                ],
+            ),
+        ]),
+    ],
+    updateInfo(chain, steps, config, deployer) {
+        updateGatewayInfo(chain, steps, deployer, { admins: config.admins });
+    },
+});
+
+module.exports = {
+    recipes,
+    registerRecipe,
+    getRecipe,
+    loadArtifact,
+};
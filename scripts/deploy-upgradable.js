@@ -1,16 +1,20 @@
 'use strict';
 require('dotenv').config();
+const { parseArgs } = require('node:util');
+const { readFileSync, renameSync } = require('fs');
 const { get, getOr, isEmpty } = require('lodash/fp');
 const {
     Contract,
-    Wallet,
     getDefaultProvider,
     utils: { isAddress },
 } = require('ethers');
 const readlineSync = require('readline-sync');
-const { writeJSON } = require('./utils');
+const { writeJSON, getInfoPath, findChain } = require('./utils');
+const { isDryRun, getDryRunProvider } = require('./dry-run');
+const { validateChain, loadChainInfo, formatErrors } = require('./chain-info');
+const { SIGNER_OPTIONS, getSigner } = require('./signer');
 const { deployUpgradable, upgradeUpgradable, predictContractConstant } = require('@axelar-network/axelar-gmp-sdk-solidity');
-const IUpgradable = require('@axelar-network/axelar-gmp-sdk-solidity/dist/IUpgradable.json');
+const IUpgradable = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IUpgradable.json');
 
 function getProxy(wallet, proxyAddress) {
     return new Contract(proxyAddress, IUpgradable.abi, wallet);
@@ -48,15 +52,138 @@ function getUpgradeArgs(contractName, chain) {
     throw new Error(`${contractName} is not supported.`);
 }
 
+// proxies on devnets are deployed under a salt suffixed with the env name
+const getSalt = (env, contractName) => (env.includes('devnet') ? `${contractName}-${env}` : contractName);
+
+// artifactPath ends with a slash, relative paths are resolved from this directory like the chain info
+const getArtifacts = (artifactPath, contractName) => ({
+    implementationJson: require(artifactPath + contractName + '.sol/' + contractName + '.json'),
+    proxyJson: require(artifactPath + contractName + 'Proxy.sol/' + contractName + 'Proxy.json'),
+});
+
+let infoUpdates = Promise.resolve();
+
+// re-reads the chain info and swaps it in with a rename, queued so concurrent deployments can't clobber each other's updates
+function updateChainInfo(infoPath, chainName, contractName, update) {
+    const write = () => {
+        const chains = JSON.parse(readFileSync(infoPath, 'utf8'));
+        const chain = chains.find(({ name }) => name === chainName);
+
+        if (!chain) throw new Error(`${chainName} | Missing from ${infoPath}`);
+
+        chain[contractName] = { ...chain[contractName], ...update };
+
+        const tmpPath = `${infoPath}.${process.pid}.tmp`;
+        writeJSON(chains, tmpPath);
+        renameSync(tmpPath, infoPath);
+    };
+
+    // a failed update must not block the ones queued after it
+    infoUpdates = infoUpdates.catch(() => undefined).then(write);
+
+    return infoUpdates;
+}
+
+// deploys the proxy or upgrades its implementation, declining the confirmation skips the chain
+async function deployChain(
+    env,
+    chain,
+    wallet,
+    contractName,
+    { implementationJson, proxyJson },
+    { provider, action = 'auto', confirm, log = console.log },
+) {
+    const signer = wallet.connect(provider);
+    const existing = get([contractName, 'address'], chain);
+    const args = await getImplementationArgs(contractName, chain);
+    log(`Implementation args for chain ${chain.name}: ${args}`);
+    log(`Gas override for chain ${chain.name}:`, chain.gasOptions);
+
+    if (action !== 'auto' && action !== (existing ? 'upgrade' : 'deploy')) {
+        throw new Error(
+            `${chain.name} | Cannot ${action} ${contractName}, ${existing ? `a proxy exists at ${existing}` : 'no proxy exists'}.`,
+        );
+    }
+
+    if (existing) {
+        const contract = getProxy(signer, existing);
+        const owner = await contract.owner();
+        log(`Proxy already exists for ${chain.name}: ${contract.address}`);
+        log(`Existing implementation ${await contract.implementation()}`);
+        log(`Existing owner ${owner}`);
+
+        if (wallet.address !== owner) {
+            throw new Error(
+                `${chain.name} | Signer ${wallet.address} does not match contract owner ${owner} for chain ${chain.name} in info.`,
+            );
+        }
+
+        if (!(await confirm(`Perform an upgrade for ${chain.name}? (y/n) `))) return { action: 'upgrade', status: 'skipped' };
+
+        await upgradeUpgradable(existing, signer, implementationJson, args, getUpgradeArgs(contractName, chain));
+
+        const update = { implementation: await contract.implementation() };
+        log(`${chain.name} | New Implementation for ${contractName} is at ${update.implementation}`);
+        log(`${chain.name} | Upgraded.`);
+
+        return { action: 'upgrade', status: 'completed', address: existing, update };
+    }
+
+    const key = getSalt(env, contractName);
+    const setupArgs = getInitArgs(contractName, chain);
+    log(`Proxy setup args: ${setupArgs}`);
+    log(`Proxy deployment salt: '${key}'`);
+
+    const proxyAddress = await predictContractConstant(chain.constAddressDeployer, signer, proxyJson, key);
+    log(`Proxy will be deployed to ${proxyAddress} Does this match any existing deployments?`);
+
+    if (!(await confirm(`Proceed with deployment on ${chain.name}? (y/n) `))) return { action: 'deploy', status: 'skipped' };
+
+    const contract = await deployUpgradable(
+        chain.constAddressDeployer,
+        signer,
+        implementationJson,
+        proxyJson,
+        args,
+        [],
+        setupArgs,
+        key,
+        get('gasOptions.gasLimit', chain),
+    );
+
+    const update = { salt: key, address: contract.address, implementation: await contract.implementation(), deployer: wallet.address };
+    log(`${chain.name} | ConstAddressDeployer is at ${chain.constAddressDeployer}`);
+    log(`${chain.name} | Implementation for ${contractName} is at ${update.implementation}`);
+    log(`${chain.name} | Proxy for ${contractName} is at ${contract.address}`);
+
+    return { action: 'deploy', status: 'completed', address: contract.address, update };
+}
+
+// a dry run leaves the chain info untouched
+async function saveResult(infoPath, chain, contractName, { update }) {
+    if (!update) return;
+
+    chain[contractName] = { ...chain[contractName], ...update };
+
+    if (!isDryRun()) await updateChainInfo(infoPath, chain.name, contractName, update);
+}
+
+const getChainProvider = async (chain) => (isDryRun() ? getDryRunProvider(chain.rpc) : getDefaultProvider(chain.rpc));
+
+const askConfirmation = async (question) => readlineSync.question(question) === 'y';
+
 async function deploy(env, chains, wallet, artifactPath, contractName, deployTo) {
-    const implementationPath = artifactPath + contractName + '.sol/' + contractName + '.json';
-    const proxyPath = artifactPath + contractName + 'Proxy.sol/' + contractName + 'Proxy.json';
-    const implementationJson = require(implementationPath);
-    const proxyJson = require(proxyPath);
+    const artifacts = getArtifacts(artifactPath, contractName);
+    const targets = chains.filter((chain) => deployTo.length === 0 || deployTo.includes(chain.name));
+    const errors = targets.flatMap((chain) => validateChain(chain, { contracts: [contractName], path: chain.name }));
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid chain info for ${contractName}:\n${formatErrors(errors)}`);
+    }
+
     console.log(`Deployer address ${wallet.address}`);
 
-    for (const chain of chains) {
-        if (deployTo.length > 0 && !deployTo.find((name) => chain.name === name)) continue;
+    for (const chain of targets) {
         const rpc = chain.rpc;
         const provider = getDefaultProvider(rpc);
         console.log(
@@ -66,95 +193,154 @@ async function deploy(env, chains, wallet, artifactPath, contractName, deployTo)
         );
     }
 
-    for (const chain of chains) {
-        if (deployTo.length > 0 && !deployTo.find((name) => chain.name === name)) continue;
-        const rpc = chain.rpc;
-        const provider = getDefaultProvider(rpc);
-        const args = await getImplementationArgs(contractName, chain);
-        console.log(`Implementation args for chain ${chain.name}: ${args}`);
-        console.log(`Gas override for chain ${chain.name}:`, chain.gasOptions);
-
-        if (chain[contractName] && chain[contractName].address) {
-            const contract = getProxy(wallet.connect(provider), chain[contractName]['address']);
-            const owner = await contract.owner();
-            console.log(`Proxy already exists for ${chain.name}: ${contract.address}`);
-            console.log(`Existing implementation ${await contract.implementation()}`);
-            console.log(`Existing owner ${owner}`);
-
-            if (wallet.address !== owner) {
-                throw new Error(
-                    `${chain.name} | Signer ${wallet.address} does not match contract owner ${owner} for chain ${chain.name} in info.`,
-                );
-            }
+    for (const chain of targets) {
+        const result = await deployChain(env, chain, wallet, contractName, artifacts, {
+            provider: await getChainProvider(chain),
+            confirm: askConfirmation,
+        });
 
-            const anwser = readlineSync.question(`Perform an upgrade for ${chain.name}? (y/n) `);
-            if (anwser !== 'y') continue;
+        await saveResult(getInfoPath(env), chain, contractName, result);
+    }
+}
 
-            await upgradeUpgradable(
-                wallet.connect(provider),
-                chain[contractName]['address'],
-                implementationJson,
-                args,
-                getUpgradeArgs(contractName, chain),
-                get('gasOptions.gasLimit', chain),
-            );
+// the chain named by its id or name, undefined when the chain info has no such chain
+function resolveChain(chains, name) {
+    try {
+        return findChain(chains, name);
+    } catch {
+        return undefined;
+    }
+}
 
-            chain[contractName]['implementation'] = await contract.implementation();
-
-            writeJSON(chains, `../info/${env}.json`);
-            console.log(`${chain.name} | New Implementation for ${contractName} is at ${chain[contractName]['implementation']}`);
-            console.log(`${chain.name} | Upgraded.`);
-        } else {
-            const key = env.includes('devnet') ? `${contractName}-${env}` : contractName;
-            const setupArgs = getInitArgs(contractName, chain);
-            console.log(`Proxy setup args: ${setupArgs}`);
-            console.log(`Proxy deployment salt: '${key}'`);
-
-            const proxyAddress = await predictContractConstant(chain.constAddressDeployer, wallet.connect(provider), proxyJson, key);
-            console.log(`Proxy will be deployed to ${proxyAddress} Does this match any existing deployments?`);
-            const anwser = readlineSync.question(`Proceed with deployment on ${chain.name}? (y/n) `);
-            if (anwser !== 'y') return;
-
-            const contract = await deployUpgradable(
-                chain.constAddressDeployer,
-                wallet.connect(provider),
-                implementationJson,
-                proxyJson,
-                args,
-                [],
-                setupArgs,
-                key,
-                get('gasOptions.gasLimit', chain),
-            );
+// why a chain can't run its planned deployments, undefined when it can
+function getChainError(chain, chainName, contracts, infoPath) {
+    if (!chain) return `${chainName} | Missing from ${infoPath}`;
 
-            chain[contractName]['salt'] = key;
-            chain[contractName]['address'] = contract.address;
-            chain[contractName]['implementation'] = await contract.implementation();
-            chain[contractName]['deployer'] = wallet.address;
+    try {
+        const errors = validateChain(chain, { contracts, path: chainName });
+
+        if (errors.length > 0) return `${chainName} | Invalid chain info:\n${formatErrors(errors)}`;
+    } catch (err) {
+        return `${chainName} | ${err.message}`;
+    }
 
-            writeJSON(chains, `../info/${env}.json`);
-            console.log(`${chain.name} | ConstAddressDeployer is at ${chain.constAddressDeployer}`);
-            console.log(`${chain.name} | Implementation for ${contractName} is at ${chain[contractName]['implementation']}`);
-            console.log(`${chain.name} | Proxy for ${contractName} is at ${contract.address}`);
+    return undefined;
+}
+
+async function runConcurrently(items, concurrency, fn) {
+    const queue = [...items];
+    const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+        while (queue.length > 0) {
+            await fn(queue.shift());
         }
+    });
+
+    await Promise.all(workers);
+}
+
+// plan: { env, artifacts, concurrency, deployments: [{ chain, contract, action: auto | deploy | upgrade }] }
+// chains are deployed concurrently and the deployments of a chain in order, stopping that chain at its first failure
+// chains with an invalid config for their planned contracts fail before anything is deployed
+async function deployBatch(plan, wallet, { infoPath = getInfoPath(plan.env), getProvider = getChainProvider, log = console.log } = {}) {
+    const chains = loadChainInfo(infoPath);
+    const byChain = {};
+    const results = [];
+
+    for (const deployment of plan.deployments) {
+        const result = { chain: deployment.chain, contract: deployment.contract, action: deployment.action || 'auto', status: 'pending' };
+
+        // deployments naming a chain by its id and by its name still run in one sequence
+        const chainName = resolveChain(chains, deployment.chain)?.name || deployment.chain;
+
+        byChain[chainName] = [...(byChain[chainName] || []), { ...deployment, result }];
+        results.push(result);
     }
+
+    const valid = Object.entries(byChain).filter(([chainName, deployments]) => {
+        const chain = resolveChain(chains, chainName);
+        const error = getChainError(chain, chainName, [...new Set(deployments.map(({ contract }) => contract))], infoPath);
+
+        if (error) {
+            Object.assign(deployments[0].result, { status: 'failed', error });
+            log(error);
+        }
+
+        return !error;
+    });
+
+    await runConcurrently(valid, plan.concurrency || 4, async ([chainName, deployments]) => {
+        const chain = findChain(chains, chainName);
+
+        for (const { contract, action, result } of deployments) {
+            try {
+                const outcome = await deployChain(plan.env, chain, wallet, contract, getArtifacts(plan.artifacts, contract), {
+                    provider: await getProvider(chain),
+                    action,
+                    confirm: async () => true,
+                    log,
+                });
+
+                await saveResult(infoPath, chain, contract, outcome);
+                Object.assign(result, { action: outcome.action, status: outcome.status, address: outcome.address });
+            } catch (err) {
+                Object.assign(result, { status: 'failed', error: err.message });
+                log(`${chainName} | ${contract} failed: ${err.message}`);
+                return;
+            }
+        }
+    });
+
+    return results;
 }
 
 if (require.main === module) {
-    const env = process.argv[2];
-    if (env === null || (env !== 'local' && !env.includes('devnet') && env !== 'testnet' && env !== 'mainnet'))
-        throw new Error('Need to specify local | devnet* | testnet | mainnet as an argument to this script.');
+    const { values, positionals } = parseArgs({
+        options: {
+            ...SIGNER_OPTIONS,
+            plan: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+        },
+        allowPositionals: true,
+    });
+
+    if (values.plan) {
+        getSigner(values)
+            .then((wallet) => deployBatch(JSON.parse(readFileSync(values.plan, 'utf8')), wallet))
+            .then((results) => {
+                console.table(results);
 
-    const chains = require(`../info/${env}.json`);
+                if (results.some(({ status }) => status !== 'completed')) process.exitCode = 1;
+            })
+            .catch((err) => {
+                console.error(err);
+                process.exitCode = 1;
+            });
+    } else {
+        const env = positionals[0];
+        if (env === undefined || (env !== 'local' && !env.includes('devnet') && env !== 'testnet' && env !== 'mainnet'))
+            throw new Error('Need to specify local | devnet* | testnet | mainnet as an argument to this script.');
 
-    const private_key = process.env.PRIVATE_KEY;
-    const wallet = new Wallet(private_key);
+        const chains = loadChainInfo(getInfoPath(env));
 
-    const artifactPath = process.argv[3];
+        const artifactPath = positionals[1];
 
-    const contractName = process.argv[4];
+        const contractName = positionals[2];
 
-    const deployTo = process.argv.slice(5);
+        const deployTo = positionals.slice(3);
 
-    deploy(env, chains, wallet, artifactPath, contractName, deployTo);
+        getSigner(values)
+            .then((wallet) => deploy(env, chains, wallet, artifactPath, contractName, deployTo))
+            .catch((err) => {
+                console.error(err);
+                process.exitCode = 1;
+            });
+    }
 }
+
+module.exports = {
+    getSalt,
+    getArtifacts,
+    updateChainInfo,
+    deployChain,
+    deployBatch,
+};
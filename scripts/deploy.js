@@ -0,0 +1,320 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const { existsSync, readFileSync } = require('fs');
+const { join } = require('path');
+const readlineSync = require('readline-sync');
+const {
+    ContractFactory,
+    providers: { JsonRpcProvider },
+    utils: { keccak256 },
+} = require('ethers');
+
+const { printLog, printObj, writeJSON, pubkeysToAddresses, parseList, parseWei, getTxOptions, getInfoPath, findChain } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { sortOperators } = require('./command-batch');
+const { recipes, getRecipe, loadArtifact } = require('./deploy-recipes');
+const { DeploymentJournal } = require('./deployment-journal');
+const { getDryRunProvider } = require('./dry-run');
+const { getKeySource } = require('./key-source');
+const { SIGNER_OPTIONS, getSigner, getSignerType } = require('./signer');
+
+const getStatePath = (env, chain) => join(__dirname, '..', 'deployments', env, `${chain.id}.json`);
+
+const KEY_SOURCE_OPTIONS = '--prefix, --lcd or --keys-file';
+
+async function getSet(addresses, threshold, source, name) {
+    if (addresses) {
+        if (!threshold) throw new Error(`Missing --${name}-threshold`);
+
+        return { addresses, threshold: Number(threshold) };
+    }
+
+    if (!source) throw new Error(`Missing --${name}s or ${KEY_SOURCE_OPTIONS} to query them from Axelar`);
+
+    return source();
+}
+
+// resolves the values a recipe needs from the arguments, the chain info and the Axelar key source
+const configResolvers = {
+    operators({ values, chain, keySource }) {
+        if (!values.operators) {
+            if (!keySource) throw new Error(`Missing --operators or ${KEY_SOURCE_OPTIONS} to query them from Axelar`);
+
+            return keySource.getEVMAddresses(chain.id);
+        }
+
+        if (!values.threshold) throw new Error('Missing --threshold');
+
+        const addresses = parseList(values.operators);
+        const { operators, weights } = sortOperators(addresses, parseList(values.weights) || addresses.map(() => 1));
+
+        return { addresses: operators, weights: weights.map(Number), threshold: Number(values.threshold) };
+    },
+
+    multisigOperators: ({ values, chain, keySource }) =>
+        getSet(parseList(values.operators), values.threshold, keySource && (() => keySource.getOperators(chain.id)), 'operator'),
+
+    owners: ({ values, chain, keySource }) =>
+        getSet(parseList(values.owners), values['owner-threshold'], keySource && (() => keySource.getOwners(chain.id)), 'owner'),
+
+    admins({ values, chain, keySource }) {
+        const addresses = values['admin-pubkeys'] ? pubkeysToAddresses(parseList(values['admin-pubkeys'])) : parseList(values.admins);
+
+        return getSet(
+            addresses,
+            values['admin-threshold'],
+            keySource &&
+                (async () => ({ addresses: await keySource.getAdminAddresses(chain.id), threshold: Number(values['admin-threshold']) })),
+            'admin',
+        );
+    },
+
+    governance: ({ values, chain, deployer }) => values.governance || chain.AxelarGateway?.governance || deployer,
+
+    mintLimiter: ({ values, chain, deployer }) => values['mint-limiter'] || chain.AxelarGateway?.mintLimiter || deployer,
+
+    gasCollector: ({ values, chain, deployer }) => values['gas-collector'] || chain.AxelarGasService?.collector || deployer,
+
+    depositService: ({ values, chain, deployer }) => ({
+        wrappedSymbol: values['wrapped-symbol'] ?? chain.AxelarDepositService?.wrappedSymbol ?? '',
+        refundIssuer: values['refund-issuer'] || chain.AxelarDepositService?.refundIssuer || deployer,
+    }),
+};
+
+// keys missing from the arguments are queried through the key source, tests can pass one with fixed keys
+async function getDeployConfig(recipe, chain, values, deployer, keySource = getKeySource(values)) {
+    const config = {};
+
+    for (const key of recipe.config) {
+        config[key] = await configResolvers[key]({ values, chain, deployer, keySource });
+    }
+
+    return config;
+}
+
+const newDeployState = (env, chain, recipe, deployer, config) => ({
+    env,
+    chain: chain.id,
+    recipe: recipe.version,
+    deployer,
+    config,
+    steps: {},
+});
+
+async function runStep(step, ctx, journal) {
+    const { provider } = ctx.wallet;
+
+    if (step.run) {
+        const journaled = journal.start(step.name);
+        const record = (record) => journal.start(step.name, record);
+
+        return journal.complete(step.name, provider, await step.run({ ...ctx, journaled, record }));
+    }
+
+    const artifact = loadArtifact(step.contractName, ctx.artifactsDir);
+    const factory = new ContractFactory(artifact.abi, artifact.bytecode, ctx.wallet);
+    const constructorArgs = step.getArgs(ctx);
+    const contract = await factory.deploy(...constructorArgs, ctx.options);
+
+    journal.start(step.name, {
+        contractName: step.contractName,
+        address: contract.address,
+        transactionHash: contract.deployTransaction.hash,
+        constructorArgs,
+        bytecodeHash: keccak256(artifact.bytecode),
+    });
+
+    await contract.deployed();
+
+    return journal.complete(step.name, provider);
+}
+
+// runs the recipe steps that are not completed yet, journaling every step to the state so a failed run can be resumed,
+// log gets the progress of every step
+async function deployRecipe({ env, chain, wallet, recipe, state, artifactsDir, options = {}, saveState = () => {}, log = printObj }) {
+    if (state.recipe !== recipe.version) {
+        throw new Error(`State was created by recipe ${state.recipe}, not ${recipe.version}`);
+    }
+
+    const journal = new DeploymentJournal(state, saveState);
+    const ctx = {
+        env,
+        chain,
+        wallet,
+        artifactsDir,
+        options,
+        config: state.config,
+        address: (name) => journal.get(name).address,
+    };
+
+    for (const step of recipe.steps) {
+        if (journal.isCompleted(step.name)) {
+            await journal.verify(step.name, wallet.provider);
+            log({ log: `skipping ${step.name}, already completed` });
+            continue;
+        }
+
+        if (await journal.recover(step.name, wallet.provider)) {
+            log({ log: `recovered ${step.name} from its mined transaction` });
+            continue;
+        }
+
+        log({ log: `running ${step.name}` });
+
+        try {
+            await runStep(step, ctx, journal);
+        } catch (err) {
+            journal.fail(step.name, err);
+            throw err;
+        }
+
+        log({ [step.name]: journal.get(step.name) });
+    }
+
+    recipe.updateInfo(chain, state.steps, state.config, state.deployer);
+
+    return state;
+}
+
+async function main(values) {
+    const recipe = getRecipe(values.recipe);
+
+    if (recipe.legacy && !values.artifacts) {
+        throw new Error(`Recipe ${recipe.version} needs --artifacts pointing to the artifacts of that release`);
+    }
+
+    const infoPath = values.info || getInfoPath(values.env);
+    const chains = loadChainInfo(infoPath);
+    const chain = findChain(chains, values.chain);
+    const statePath = values.state || getStatePath(values.env, chain);
+
+    const dryRun = values['dry-run'];
+    const url = values.url || chain.rpc;
+    const provider = dryRun ? await getDryRunProvider(url) : new JsonRpcProvider(url);
+    const wallet = await getSigner(values, provider);
+    const deployer = wallet.address;
+
+    let state;
+
+    if (existsSync(statePath)) {
+        state = JSON.parse(readFileSync(statePath, 'utf8'));
+        printLog(`resuming from ${statePath}, the recorded config is used`);
+    } else {
+        state = newDeployState(values.env, chain, recipe, deployer, await getDeployConfig(recipe, chain, values, deployer));
+    }
+
+    if (state.deployer !== deployer) {
+        throw new Error(`State was created by deployer ${state.deployer}, not ${deployer}`);
+    }
+
+    const feeOverrides = {
+        gasPrice: parseWei(values['gas-price']),
+        maxFeePerGas: parseWei(values['max-fee-per-gas']),
+        maxPriorityFeePerGas: parseWei(values['max-priority-fee-per-gas']),
+        gasLimit: values['gas-limit'] && Number(values['gas-limit']),
+    };
+    const options = Object.values(feeOverrides).some((value) => value)
+        ? getTxOptions(await provider.getFeeData(), feeOverrides)
+        : { ...chain.gasOptions };
+
+    printObj({
+        recipe: `${recipe.version}: ${recipe.description}`,
+        chain: chain.name,
+        deployer,
+        balance: (await provider.getBalance(deployer)).toString(),
+        config: state.config,
+        options,
+        state: statePath,
+        completed: recipe.steps.map(({ name }) => name).filter((name) => state.steps[name]?.status === 'completed'),
+        pending: recipe.steps.map(({ name }) => name).filter((name) => state.steps[name]?.status !== 'completed'),
+    });
+
+    if (!values.yes && readlineSync.question(`Proceed with deployment on ${chain.name}? (y/n) `) !== 'y') {
+        printLog('execution cancelled');
+        return;
+    }
+
+    await deployRecipe({
+        env: values.env,
+        chain,
+        wallet,
+        recipe,
+        state,
+        artifactsDir: values.artifacts,
+        options,
+        saveState: (state) => !dryRun && writeJSON(state, statePath),
+    });
+
+    if (dryRun) {
+        printObj({ dry_run: { steps: state.steps, chain } });
+        return;
+    }
+
+    writeJSON(chains, infoPath);
+    printLog(`deployment completed, ${infoPath} updated`);
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chain: { type: 'string' },
+            recipe: { type: 'string', default: 'v6.x' },
+            info: { type: 'string' },
+            state: { type: 'string' },
+            url: { type: 'string' },
+            artifacts: { type: 'string' },
+            prefix: { type: 'string' },
+            lcd: { type: 'string' },
+            'keys-file': { type: 'string' },
+            operators: { type: 'string' },
+            weights: { type: 'string' },
+            threshold: { type: 'string' },
+            admins: { type: 'string' },
+            'admin-pubkeys': { type: 'string' },
+            'admin-threshold': { type: 'string' },
+            owners: { type: 'string' },
+            'owner-threshold': { type: 'string' },
+            governance: { type: 'string' },
+            'mint-limiter': { type: 'string' },
+            'gas-collector': { type: 'string' },
+            'wrapped-symbol': { type: 'string' },
+            'refund-issuer': { type: 'string' },
+            'gas-price': { type: 'string' },
+            'max-fee-per-gas': { type: 'string' },
+            'max-priority-fee-per-gas': { type: 'string' },
+            'gas-limit': { type: 'string' },
+            yes: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            ...SIGNER_OPTIONS,
+        },
+    });
+
+    if (!values.env || !values.chain || !getSignerType(values)) {
+        console.error(
+            'Usage: [PRIVATE_KEY=<key> | MNEMONIC=<phrase>] node scripts/deploy.js --env <env> --chain <chain> [--recipe <version>] ' +
+                '[--operators <addr,...> --weights <n,...> --threshold <n> | --prefix <axelard prefix> | --lcd <url> | --keys-file <json>] ' +
+                '[--keystore <file> | --signer-url <url> [--signer-address <addr>]] [--derivation-path <path>] [--yes] [--dry-run]',
+        );
+        console.error(
+            `Recipes: ${Object.values(recipes)
+                .map(({ version, description }) => `${version} (${description})`)
+                .join(', ')}`,
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getDeployConfig,
+    newDeployState,
+    deployRecipe,
+};
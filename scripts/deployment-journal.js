@@ -0,0 +1,86 @@
+'use strict';
+
+const {
+    utils: { keccak256 },
+} = require('ethers');
+
+const getCodeHash = async (provider, address) => {
+    const code = await provider.getCode(address);
+
+    return code === '0x' ? undefined : keccak256(code);
+};
+
+// records every deployment step of a state file (pending, completed or failed) so a rerun can pick up where the last one stopped
+class DeploymentJournal {
+    constructor(state, save = () => {}) {
+        this.state = state;
+        this.steps = state.steps;
+        this.save = save;
+    }
+
+    get(name) {
+        return this.steps[name];
+    }
+
+    isCompleted(name) {
+        return this.steps[name]?.status === 'completed';
+    }
+
+    update(name, record) {
+        this.steps[name] = { ...this.steps[name], ...record, updatedAt: new Date().toISOString() };
+        this.save(this.state);
+
+        return this.steps[name];
+    }
+
+    // called once the deployment tx is sent, before it is mined, so its hash survives a crash
+    start(name, record = {}) {
+        return this.update(name, { ...record, status: 'pending', error: undefined });
+    }
+
+    async complete(name, provider, record = {}) {
+        const step = { ...this.steps[name], ...record };
+        const codeHash = step.address ? await getCodeHash(provider, step.address) : undefined;
+
+        return this.update(name, { ...record, codeHash, status: 'completed' });
+    }
+
+    fail(name, err) {
+        return this.update(name, { status: 'failed', error: err.reason || err.message });
+    }
+
+    // throws if the code at the recorded address no longer matches, e.g. after a chain reset or with the wrong RPC
+    async verify(name, provider) {
+        const { address, codeHash } = this.steps[name];
+
+        if (!address) return;
+
+        const actual = await getCodeHash(provider, address);
+
+        if (actual !== codeHash) {
+            throw new Error(
+                `Step ${name}: code at ${address} ${actual ? `has hash ${actual}` : 'is empty'}, the journal recorded ${codeHash}`,
+            );
+        }
+    }
+
+    // a pending deployment whose tx got mined successfully is completed without resending it
+    async recover(name, provider) {
+        const { status, transactionHash } = this.steps[name] || {};
+
+        if (status !== 'pending' || !transactionHash) return false;
+
+        const receipt = await provider.getTransactionReceipt(transactionHash);
+
+        if (!receipt || receipt.status !== 1) return false;
+
+        await this.complete(name, provider, receipt.contractAddress ? { address: receipt.contractAddress } : {});
+
+        return true;
+    }
+}
+
+module.exports = {
+    DeploymentJournal,
+    getCodeHash,
+};
@@ -0,0 +1,300 @@
+'use strict';
+
+const { readdirSync, readFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const {
+    BigNumber,
+    providers: { JsonRpcProvider, Web3Provider },
+    utils: { defaultAbiCoder, Interface, Fragment, FormatTypes, getAddress, hexDataSlice, hexZeroPad, isHexString },
+} = require('ethers');
+
+const { printLog, printObj } = require('./utils');
+
+const ARTIFACTS_DIR = join(__dirname, '..', 'artifacts');
+
+const isDryRun = () => process.argv.includes('--dry-run') || process.env.DRY_RUN === 'true';
+
+const getArtifactPaths = (dir) =>
+    readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const path = join(dir, entry.name);
+
+        if (entry.isDirectory()) return entry.name === 'build-info' ? [] : getArtifactPaths(path);
+
+        return entry.name.endsWith('.json') && !entry.name.endsWith('.dbg.json') ? [path] : [];
+    });
+
+let projectInterface;
+
+// a single interface with every event and custom error of the compiled contracts, deduplicated by signature
+function getProjectInterface() {
+    if (projectInterface) return projectInterface;
+
+    const fragments = {};
+    const paths = existsSync(ARTIFACTS_DIR) ? getArtifactPaths(ARTIFACTS_DIR) : [];
+
+    for (const path of paths) {
+        const { abi } = JSON.parse(readFileSync(path, 'utf8'));
+
+        for (const fragment of abi || []) {
+            if (fragment.type !== 'event' && fragment.type !== 'error') continue;
+
+            const key = `${fragment.type} ${Fragment.from(fragment).format(FormatTypes.sighash)}`;
+            fragments[key] = fragments[key] || fragment;
+        }
+    }
+
+    projectInterface = new Interface(Object.values(fragments));
+
+    return projectInterface;
+}
+
+const formatValue = (value) => {
+    if (BigNumber.isBigNumber(value)) return value.toString();
+    if (Array.isArray(value)) return value.map(formatValue);
+
+    return value;
+};
+
+const formatArgs = (inputs, args) => Object.fromEntries(inputs.map((input, i) => [input.name || i, formatValue(args[i])]));
+
+// revert data is nested differently depending on the provider and on whether the call, the estimate or the tx failed
+function getRevertData(err) {
+    if (!err || typeof err !== 'object') return undefined;
+    if (isHexString(err.data) && err.data.length >= 10) return err.data;
+    if (isHexString(err.data?.data)) return err.data.data;
+
+    return getRevertData(err.error) || getRevertData(err.data);
+}
+
+// ethers refuses to build an interface with these, so they are decoded by selector
+const STANDARD_ERRORS = {
+    '0x08c379a0': ['Error', 'string'],
+    '0x4e487b71': ['Panic', 'uint256'],
+};
+
+function parseError(iface, data) {
+    try {
+        return iface.parseError(data);
+    } catch {
+        return undefined;
+    }
+}
+
+function decodeRevert(err) {
+    const data = getRevertData(err);
+
+    if (!data) return err.reason || err.message;
+
+    const standardError = STANDARD_ERRORS[hexDataSlice(data, 0, 4)];
+
+    if (standardError) {
+        const [name, type] = standardError;
+
+        return `${name}(${formatValue(defaultAbiCoder.decode([type], hexDataSlice(data, 4))[0])})`;
+    }
+
+    const error = parseError(getProjectInterface(), data);
+
+    if (!error) return `unknown error ${data}`;
+
+    return `${error.name}(${Object.values(formatArgs(error.errorFragment.inputs, error.args)).join(', ')})`;
+}
+
+function decodeLog(log) {
+    try {
+        const event = getProjectInterface().parseLog(log);
+
+        return { address: log.address, event: event.name, args: formatArgs(event.eventFragment.inputs, event.args) };
+    } catch {
+        return { address: log.address, topics: log.topics, data: log.data };
+    }
+}
+
+const toWord = (value) => hexZeroPad(`0x${value.replace(/^0x/, '')}`, 32);
+
+const CALL_OPS = ['CALL', 'STATICCALL'];
+const DELEGATE_OPS = ['DELEGATECALL', 'CALLCODE'];
+
+// follows the call frames of the struct logs to attribute every SSTORE to the contract whose storage it writes
+async function getStorageWrites(provider, receipt) {
+    const { structLogs } = await provider.send('debug_traceTransaction', [
+        receipt.transactionHash,
+        { disableMemory: true, disableStorage: true },
+    ]);
+    const frames = [{ address: receipt.to || receipt.contractAddress, slots: [] }];
+    const stack = [frames[0]];
+
+    structLogs.forEach((log, i) => {
+        const next = structLogs[i + 1];
+        const frame = stack[stack.length - 1];
+
+        if (log.op === 'SSTORE') {
+            frame.slots.push(toWord(log.stack[log.stack.length - 1]));
+        }
+
+        if (!next) return;
+
+        if (next.depth > log.depth) {
+            let address;
+
+            if (CALL_OPS.includes(log.op)) address = getAddress(hexDataSlice(toWord(log.stack[log.stack.length - 2]), 12));
+            if (DELEGATE_OPS.includes(log.op)) address = frame.address;
+
+            // created contracts get their address once the creation frame returns
+            const callee = { address, slots: [] };
+            frames.push(callee);
+            stack.push(callee);
+        } else if (next.depth < log.depth) {
+            const callee = stack.pop();
+
+            if (!callee.address && next.stack.length > 0) {
+                callee.address = getAddress(hexDataSlice(toWord(next.stack[next.stack.length - 1]), 12));
+            }
+        }
+    });
+
+    return frames.flatMap(({ address, slots }) => (address ? slots.map((slot) => ({ address, slot })) : []));
+}
+
+async function getStateChanges(provider, receipt) {
+    const before = receipt.blockNumber - 1;
+    const unique = (items) => [...new Set(items)];
+
+    let writes;
+
+    try {
+        writes = await getStorageWrites(provider, receipt);
+    } catch (err) {
+        return { error: `storage changes unavailable: ${err.message}` };
+    }
+
+    const storage = [];
+
+    for (const key of unique(writes.map(({ address, slot }) => `${address}:${slot}`))) {
+        const [address, slot] = key.split(':');
+        const from = await provider.getStorageAt(address, slot, before);
+        const to = await provider.getStorageAt(address, slot, receipt.blockNumber);
+
+        if (from !== to) storage.push({ address, slot, from, to });
+    }
+
+    const balances = [];
+    const accounts = unique(
+        [
+            receipt.from,
+            receipt.to,
+            receipt.contractAddress,
+            ...writes.map(({ address }) => address),
+            ...receipt.logs.map(({ address }) => address),
+        ]
+            .filter(Boolean)
+            .map(getAddress),
+    );
+
+    for (const address of accounts) {
+        const from = await provider.getBalance(address, before);
+        const to = await provider.getBalance(address, receipt.blockNumber);
+
+        if (!from.eq(to)) balances.push({ address, from: from.toString(), to: to.toString(), change: to.sub(from).toString() });
+    }
+
+    return { storage, balances };
+}
+
+async function getTransactionReport(provider, hash) {
+    const receipt = await provider.waitForTransaction(hash);
+
+    return {
+        transactionHash: hash,
+        from: receipt.from,
+        to: receipt.to,
+        contractAddress: receipt.contractAddress || undefined,
+        status: receipt.status === 1 ? 'success' : 'reverted',
+        gasUsed: receipt.gasUsed.toString(),
+        events: receipt.logs.map(decodeLog),
+        stateChanges: await getStateChanges(provider, receipt),
+    };
+}
+
+// reports every transaction sent through the provider, and decodes the revert of any transaction or gas estimate that fails
+function reportTransactions(provider, log = (report) => printObj({ dry_run: report })) {
+    const perform = provider.perform.bind(provider);
+
+    provider.reports = [];
+
+    provider.perform = async (method, params) => {
+        let result;
+
+        try {
+            result = await perform(method, params);
+        } catch (err) {
+            if (method === 'sendTransaction' || method === 'estimateGas') {
+                const report = { method, status: 'reverted', reason: decodeRevert(err) };
+                provider.reports.push(report);
+                log(report);
+            }
+
+            throw err;
+        }
+
+        if (method === 'sendTransaction') {
+            const report = await getTransactionReport(provider, result);
+            provider.reports.push(report);
+            log(report);
+        }
+
+        return result;
+    };
+
+    return provider;
+}
+
+const forks = {};
+
+// Hardhat has no public API for a second in-process network, hardhat_reset would swap the one the run is on instead of adding
+// a fork per chain, so this builds one with its internal provider factory; package.json pins the hardhat version it was
+// checked against, as the internals can change in any release
+async function createFork(url, blockNumber) {
+    const { config, artifacts } = require('hardhat');
+    const { createProvider } = require('hardhat/internal/core/providers/construction');
+    const { chainId } = await new JsonRpcProvider(url).getNetwork();
+    const hardhat = { ...config.networks.hardhat, chainId, forking: { enabled: true, url, blockNumber, httpHeaders: {} } };
+
+    return createProvider({ ...config, networks: { ...config.networks, hardhat } }, 'hardhat', artifacts);
+}
+
+// forks url (at blockNumber, or its latest block) into an in-process Hardhat network of its own, keeping the chain id of the
+// forked chain, so every chain of a multi-chain run gets a separate fork that is shared by the calls for the same url
+async function forkNetwork(url, blockNumber) {
+    const key = `${url}@${blockNumber || 'latest'}`;
+
+    if (!forks[key]) {
+        forks[key] = createFork(url, blockNumber).catch((err) => {
+            delete forks[key];
+            throw err;
+        });
+    }
+
+    return new Web3Provider(await forks[key]);
+}
+
+// a local node (e.g. `npx hardhat node --fork <rpc>` or anvil) can be used instead through DRY_RUN_URL
+async function getDryRunProvider(url, localUrl = process.env.DRY_RUN_URL) {
+    printLog(`dry run: ${localUrl ? `using local node ${localUrl}` : `forking ${url}`}, nothing is broadcast`);
+
+    const provider = localUrl ? new JsonRpcProvider(localUrl) : await forkNetwork(url);
+
+    return reportTransactions(provider);
+}
+
+const getProvider = (url) => (isDryRun() ? getDryRunProvider(url) : new JsonRpcProvider(url));
+
+module.exports = {
+    isDryRun,
+    getProvider,
+    getDryRunProvider,
+    reportTransactions,
+    forkNetwork,
+    decodeRevert,
+    decodeLog,
+};
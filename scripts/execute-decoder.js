@@ -0,0 +1,119 @@
+'use strict';
+
+const {
+    BigNumber,
+    utils: { defaultAbiCoder, arrayify, hexlify, keccak256, hashMessage, recoverAddress, isHexString },
+} = require('ethers');
+const { BATCH_TYPES, executeInterface, getCommandParamTypes, isKnownCommand } = require('./command-batch');
+
+const PROOF_TYPES = ['address[] operators', 'uint256[] weights', 'uint256 threshold', 'bytes[] signatures'];
+
+const formatValue = (value) => {
+    if (BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(formatValue);
+    }
+
+    return value;
+};
+
+const formatResult = (params, result) => Object.fromEntries(params.map((param, i) => [param.name, formatValue(result[i])]));
+
+const getExecuteInputFromCalldata = (calldata) => {
+    if (!isHexString(calldata)) {
+        throw new Error(`Invalid calldata ${calldata}`);
+    }
+
+    if (calldata.slice(0, 10).toLowerCase() === executeInterface.getSighash('execute')) {
+        return executeInterface.decodeFunctionData('execute', calldata).input;
+    }
+
+    return calldata;
+};
+
+// the gateway verifies signatures over the eth signed message hash of the batch data
+const getBatchMessageHash = (data) => hashMessage(arrayify(keccak256(data)));
+
+const decodeCommand = (commandID, name, params) => {
+    const command = { commandID, name, known: isKnownCommand(name) };
+
+    if (!command.known) {
+        command.params = params;
+        command.warning = 'unknown command, the gateway will skip it';
+        return command;
+    }
+
+    const types = getCommandParamTypes(name);
+
+    try {
+        command.params = formatResult(types, defaultAbiCoder.decode(types, params));
+    } catch (err) {
+        command.params = params;
+        command.warning = `malformed params, the command will fail: ${err.reason || err.message}`;
+    }
+
+    return command;
+};
+
+const decodeCommandBatch = (data) => {
+    const [chainId, commandIDs, commandNames, params] = defaultAbiCoder.decode(BATCH_TYPES, data);
+
+    if (commandIDs.length !== commandNames.length || commandIDs.length !== params.length) {
+        throw new Error('Invalid command batch: commandIDs, commands and params lengths differ');
+    }
+
+    return {
+        chainId: chainId.toString(),
+        commands: commandIDs.map((commandID, i) => decodeCommand(commandID, commandNames[i], params[i])),
+    };
+};
+
+const decodeWeightedProof = (proof, messageHash) => {
+    const [operators, weights, threshold, signatures] = defaultAbiCoder.decode(PROOF_TYPES, proof);
+
+    const decoded = {
+        operators,
+        weights: formatValue(weights),
+        threshold: threshold.toString(),
+        operatorsHash: keccak256(defaultAbiCoder.encode(PROOF_TYPES.slice(0, 3), [operators, weights, threshold])),
+        signatures,
+    };
+
+    if (messageHash) {
+        decoded.signers = signatures.map((signature) => {
+            try {
+                return recoverAddress(messageHash, signature);
+            } catch (err) {
+                return null;
+            }
+        });
+    }
+
+    return decoded;
+};
+
+const decodeExecuteInput = (calldata) => {
+    const input = getExecuteInputFromCalldata(calldata);
+    const [data, proof] = defaultAbiCoder.decode(['bytes', 'bytes'], input);
+    const messageHash = getBatchMessageHash(data);
+
+    return {
+        messageHash,
+        batch: decodeCommandBatch(data),
+        proof: decodeWeightedProof(proof, messageHash),
+        data: hexlify(data),
+    };
+};
+
+module.exports = {
+    PROOF_TYPES,
+    getExecuteInputFromCalldata,
+    getBatchMessageHash,
+    decodeCommand,
+    decodeCommandBatch,
+    decodeWeightedProof,
+    decodeExecuteInput,
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const { join } = require('path');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+    utils: { keccak256, toUtf8Bytes, solidityKeccak256 },
+} = require('ethers');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const { printLog, writeJSON, getInfoPath, findChain, queryFilterPaged } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { getAuthContract, getOperatorEpochs } = require('./proof-validator');
+
+const SNAPSHOT_VERSION = 1;
+
+// matches AxelarGateway.TokenType
+const TOKEN_TYPES = ['InternalBurnable', 'InternalBurnableFrom', 'External'];
+
+const PREFIX_TOKEN_TYPE = keccak256(toUtf8Bytes('token-type'));
+
+// mint amounts are tracked per 6 hour window of block.timestamp
+const MINT_WINDOW = 6 * 60 * 60;
+
+// the token type has no getter, it's read from the gateway's eternal storage
+const getTokenType = async (gateway, symbol, blockTag) => {
+    const tokenType = await gateway.getUint(solidityKeccak256(['bytes32', 'string'], [PREFIX_TOKEN_TYPE, symbol]), { blockTag });
+
+    return TOKEN_TYPES[tokenType.toNumber()] || `unknown (${tokenType})`;
+};
+
+async function getTokenSymbols(gateway, fromBlock, blockTag) {
+    const events = await queryFilterPaged(gateway, gateway.filters.TokenDeployed(), fromBlock, blockTag);
+
+    return [...new Set(events.map(({ args }) => args.symbol))].sort();
+}
+
+async function getTokens(gateway, fromBlock, blockTag) {
+    const symbols = await getTokenSymbols(gateway, fromBlock, blockTag);
+
+    return Promise.all(
+        symbols.map(async (symbol) => ({
+            symbol,
+            address: await gateway.tokenAddresses(symbol, { blockTag }),
+            type: await getTokenType(gateway, symbol, blockTag),
+            mintLimit: (await gateway.tokenMintLimit(symbol, { blockTag })).toString(),
+            mintAmount: (await gateway.tokenMintAmount(symbol, { blockTag })).toString(),
+        })),
+    );
+}
+
+// reads the gateway state at a single block, so snapshots can be diffed across time or across chains
+async function snapshotGateway(provider, gatewayAddress, { blockNumber, fromBlock = 0, chain } = {}) {
+    const block = await provider.getBlock(blockNumber === undefined ? 'latest' : blockNumber);
+    const blockTag = block.number;
+    const gateway = new Contract(gatewayAddress, AxelarGateway.abi, provider);
+    const authModule = await gateway.authModule({ blockTag });
+    const window = Math.floor(block.timestamp / MINT_WINDOW);
+
+    return {
+        version: SNAPSHOT_VERSION,
+        chain,
+        chainId: (await provider.getNetwork()).chainId,
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        gateway: gatewayAddress,
+        governance: await gateway.governance({ blockTag }),
+        mintLimiter: await gateway.mintLimiter({ blockTag }),
+        implementation: await gateway.implementation({ blockTag }),
+        authModule,
+        mintWindow: {
+            index: window,
+            start: window * MINT_WINDOW,
+            end: (window + 1) * MINT_WINDOW,
+        },
+        tokens: await getTokens(gateway, fromBlock, blockTag),
+        epochs: await getOperatorEpochs(getAuthContract(authModule, provider), fromBlock, blockTag),
+    };
+}
+
+async function main(values) {
+    let url = values.url;
+    let gateway = values.gateway;
+    let chainName;
+
+    if (values.env) {
+        const chain = findChain(loadChainInfo(getInfoPath(values.env)), values.chain);
+        url = url || chain.rpc;
+        gateway = gateway || chain.AxelarGateway?.address;
+        chainName = chain.id;
+    }
+
+    const provider = new JsonRpcProvider(url);
+    const snapshot = await snapshotGateway(provider, gateway, {
+        blockNumber: values.block && Number(values.block),
+        fromBlock: Number(values['from-block']),
+        chain: chainName,
+    });
+    const output =
+        values.output ||
+        join(__dirname, '..', 'snapshots', values.env || 'custom', `${chainName || snapshot.chainId}-${snapshot.blockNumber}.json`);
+
+    writeJSON(snapshot, output);
+
+    printLog(
+        `snapshot of ${snapshot.tokens.length} tokens and ${snapshot.epochs.length} epochs at block ${snapshot.blockNumber} written to ${output}`,
+    );
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chain: { type: 'string' },
+            url: { type: 'string' },
+            gateway: { type: 'string' },
+            block: { type: 'string' },
+            'from-block': { type: 'string', default: '0' },
+            output: { type: 'string' },
+        },
+    });
+
+    if (!(values.env && values.chain) && !(values.url && values.gateway)) {
+        console.error(
+            'Usage: node scripts/gateway-snapshot.js (--env <env> --chain <chain> | --url <rpc url> --gateway <address>) ' +
+                '[--block <n>] [--from-block <n>] [--output <file>]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    TOKEN_TYPES,
+    MINT_WINDOW,
+    getTokenSymbols,
+    getTokens,
+    snapshotGateway,
+};
@@ -3,19 +3,16 @@
 require('dotenv').config();
 
 const { ethers } = require('hardhat');
-const {
-    getContractAt,
-    Wallet,
-    utils,
-    providers: { JsonRpcProvider },
-} = ethers;
+const { getContractAt, utils } = ethers;
 
 const { printLog, printObj, confirm, parseWei, getTxOptions } = require('./utils');
+const { getProvider } = require('./dry-run');
+const { getSigner, getSignerType } = require('./signer');
 
 // these environment variables should be defined in an '.env' file
 const skipConfirm = process.env.SKIP_CONFIRM;
 const url = process.env.URL;
-const privKey = process.env.PRIVATE_KEY;
+const signerType = getSignerType();
 const sourceChain = process.env.SOURCE_CHAIN;
 const sourceAddress = process.env.SOURCE_ADDRESS;
 const payloadTypes = process.env.PAYLOAD_TYPES;
@@ -32,7 +29,7 @@ const gasLimit = process.env.GAS_LIMIT ? Number(process.env.GAS_LIMIT) : Number(
 confirm(
     {
         URL: url || null,
-        PRIVATE_KEY: '*****REDACTED*****' || null,
+        SIGNER: signerType || null,
         SOURCE_CHAIN: sourceChain || null,
         SOURCE_ADDRESS: sourceAddress || null,
         PAYLOAD_TYPES: payloadTypes || null,
@@ -47,16 +44,26 @@ confirm(
         GAS_LIMIT: gasLimit || null,
         SKIP_CONFIRM: skipConfirm || null,
     },
-    url && privKey && sourceChain && sourceAddress && payloadTypes && payloadValues && commandIDhex && contractAddress && symbol && amount,
+    url &&
+        signerType &&
+        sourceChain &&
+        sourceAddress &&
+        payloadTypes &&
+        payloadValues &&
+        commandIDhex &&
+        contractAddress &&
+        symbol &&
+        amount,
 );
-const provider = new JsonRpcProvider(url);
-const wallet = new Wallet(privKey, provider);
 
 const payloadBytes = utils.arrayify(utils.defaultAbiCoder.encode(JSON.parse(payloadTypes), JSON.parse(payloadValues)));
 const commandID = utils.arrayify(commandIDhex.startsWith('0x') ? commandIDhex : '0x' + commandIDhex);
 const transactions = {};
 
 (async () => {
+    const provider = await getProvider(url);
+    const wallet = await getSigner({}, provider);
+
     printLog('fetching fee data');
     const feeData = await provider.getFeeData();
     printObj({ feeData: feeData });
@@ -0,0 +1,403 @@
+'use strict';
+
+const {
+    Contract,
+    ContractFactory,
+    BigNumber,
+    constants: { AddressZero },
+    utils: { defaultAbiCoder, keccak256, isAddress, getAddress },
+} = require('ethers');
+
+const AxelarAuthWeighted = require('../artifacts/contracts/auth/AxelarAuthWeighted.sol/AxelarAuthWeighted.json');
+const TokenDeployer = require('../artifacts/contracts/TokenDeployer.sol/TokenDeployer.json');
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const AxelarGatewayProxy = require('../artifacts/contracts/AxelarGatewayProxy.sol/AxelarGatewayProxy.json');
+const AxelarGasService = require('../artifacts/contracts/gas-service/AxelarGasService.sol/AxelarGasService.json');
+const AxelarGasServiceProxy = require('../artifacts/contracts/gas-service/AxelarGasServiceProxy.sol/AxelarGasServiceProxy.json');
+const AxelarDepositService = require('../artifacts/contracts/deposit-service/AxelarDepositService.sol/AxelarDepositService.json');
+const AxelarDepositServiceProxy = require('../artifacts/contracts/deposit-service/AxelarDepositServiceProxy.sol/AxelarDepositServiceProxy.json');
+const IAxelarExecutable = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IAxelarExecutable.json');
+
+const { CommandBatch, EXECUTE_GAS_LIMIT, sortOperators } = require('./command-batch');
+const { getSignedExecuteInput } = require('./batch-signer');
+
+// gas paid alongside the gateway call, matched to the call emitted later in the same transaction
+const GAS_PAID_EVENTS = [
+    'GasPaidForContractCall',
+    'GasPaidForContractCallWithToken',
+    'NativeGasPaidForContractCall',
+    'NativeGasPaidForContractCallWithToken',
+    'GasPaidForExpressCall',
+    'GasPaidForExpressCallWithToken',
+    'NativeGasPaidForExpressCall',
+    'NativeGasPaidForExpressCallWithToken',
+];
+
+// gas added later on, referencing the gateway call by transaction hash and log index
+const GAS_ADDED_EVENTS = ['GasAdded', 'NativeGasAdded', 'ExpressGasAdded', 'NativeExpressGasAdded'];
+
+const deployContract = (json, wallet, args = []) =>
+    new ContractFactory(json.abi, json.bytecode, wallet).deploy(...args).then((contract) => contract.deployed());
+
+async function deployUpgradable(implementationJson, proxyJson, wallet, args) {
+    const implementation = await deployContract(implementationJson, wallet, args);
+    const proxy = await deployContract(proxyJson, wallet);
+
+    await proxy.init(implementation.address, await wallet.getAddress(), '0x').then((tx) => tx.wait());
+
+    return new Contract(proxy.address, implementationJson.abi, wallet);
+}
+
+// the approval command ID is derived from the source event so relaying the same event twice is rejected by the gateway
+const getCommandID = (transactionHash, logIndex) => keccak256(defaultAbiCoder.encode(['bytes32', 'uint256'], [transactionHash, logIndex]));
+
+// simulates the Axelar network between several gateway stacks, each chain can live on its own node or share one
+class GMPSimulator {
+    // minGasFees maps gas token addresses (AddressZero for native gas) to the fee a contract call has to pay to be relayed,
+    // without it every call is relayed regardless of gas payments
+    constructor(operatorWallets, { weights, threshold, gasLimit = EXECUTE_GAS_LIMIT, minGasFees } = {}) {
+        this.operatorWallets = operatorWallets;
+        this.gasLimit = gasLimit;
+        this.minGasFees =
+            minGasFees &&
+            Object.fromEntries(Object.entries(minGasFees).map(([token, amount]) => [getAddress(token), BigNumber.from(amount)]));
+        this.weights = weights || operatorWallets.map(() => 1);
+        this.threshold = threshold || this.weights.length;
+        this.chains = {};
+        this.messages = [];
+    }
+
+    async getOperatorSet() {
+        const operators = await Promise.all(this.operatorWallets.map((wallet) => wallet.getAddress()));
+
+        return { ...sortOperators(operators, this.weights), threshold: this.threshold };
+    }
+
+    // deploys auth, token deployer, gateway, gas service and deposit service, the wallet becomes governance and owner
+    async createChain(name, wallet) {
+        if (this.chains[name]) {
+            throw new Error(`Chain ${name} already exists`);
+        }
+
+        const owner = await wallet.getAddress();
+        const { operators, weights, threshold } = await this.getOperatorSet();
+
+        const auth = await deployContract(AxelarAuthWeighted, wallet, [
+            [defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [operators, weights, threshold])],
+        ]);
+        const tokenDeployer = await deployContract(TokenDeployer, wallet);
+        const implementation = await deployContract(AxelarGateway, wallet, [auth.address, tokenDeployer.address]);
+        const proxy = await deployContract(AxelarGatewayProxy, wallet, [
+            implementation.address,
+            defaultAbiCoder.encode(['address', 'address', 'bytes'], [owner, owner, '0x']),
+        ]);
+
+        await auth.transferOwnership(proxy.address).then((tx) => tx.wait());
+
+        const gateway = new Contract(proxy.address, AxelarGateway.abi, wallet);
+        const gasService = await deployUpgradable(AxelarGasService, AxelarGasServiceProxy, wallet, [owner]);
+        const depositService = await deployUpgradable(AxelarDepositService, AxelarDepositServiceProxy, wallet, [
+            gateway.address,
+            '',
+            owner,
+        ]);
+
+        const chain = {
+            name,
+            wallet,
+            chainId: (await wallet.provider.getNetwork()).chainId,
+            auth,
+            gateway,
+            gasService,
+            depositService,
+            lastBlock: await wallet.provider.getBlockNumber(),
+        };
+
+        this.chains[name] = chain;
+
+        return chain;
+    }
+
+    getChain(name) {
+        const chain = this.chains[name];
+
+        if (!chain) {
+            throw new Error(`Unknown chain ${name}`);
+        }
+
+        return chain;
+    }
+
+    async executeBatch(chainName, batch) {
+        const chain = this.getChain(chainName);
+        const input = await getSignedExecuteInput(batch.encode(), await this.getOperatorSet(), this.operatorWallets);
+        const receipt = await chain.gateway.execute(input, { gasLimit: this.gasLimit }).then((tx) => tx.wait());
+
+        const executed = receipt.events.filter(({ event }) => event === 'Executed').map(({ args }) => args.commandId);
+        const failed = batch.commandIDs.filter((commandID) => !executed.includes(commandID));
+
+        if (failed.length) {
+            throw new Error(`Commands ${failed.join(', ')} failed on ${chainName}`);
+        }
+
+        return receipt;
+    }
+
+    // deploys an internal token, or registers an existing one per chain through tokenAddresses
+    async deployToken(name, symbol, decimals, cap, { mintLimit = 0, tokenAddresses = {} } = {}) {
+        for (const chain of Object.values(this.chains)) {
+            const batch = new CommandBatch(chain.chainId).deployToken(
+                name,
+                symbol,
+                decimals,
+                cap,
+                tokenAddresses[chain.name] || AddressZero,
+                mintLimit,
+            );
+
+            await this.executeBatch(chain.name, batch);
+        }
+    }
+
+    async mintToken(chainName, symbol, account, amount) {
+        const chain = this.getChain(chainName);
+
+        return this.executeBatch(chainName, new CommandBatch(chain.chainId).mintToken(symbol, account, amount));
+    }
+
+    async getGatewayEvents(chain, toBlock) {
+        const { gateway } = chain;
+        const events = await Promise.all(
+            [gateway.filters.ContractCall(), gateway.filters.ContractCallWithToken(), gateway.filters.TokenSent()].map((filter) =>
+                gateway.queryFilter(filter, chain.lastBlock + 1, toBlock),
+            ),
+        );
+
+        return events.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    getMessage(sourceChain, { event, args, transactionHash, logIndex }) {
+        const message = {
+            type: event,
+            sourceChain: sourceChain.name,
+            destinationChain: args.destinationChain,
+            sender: args.sender,
+            transactionHash,
+            logIndex,
+            commandID: getCommandID(transactionHash, logIndex),
+            status: 'pending',
+            payments: [],
+        };
+
+        if (event === 'TokenSent') {
+            return { ...message, destinationAddress: args.destinationAddress, symbol: args.symbol, amount: args.amount.toString() };
+        }
+
+        message.destinationAddress = args.destinationContractAddress;
+        message.payload = args.payload;
+        message.payloadHash = args.payloadHash;
+
+        if (event === 'ContractCallWithToken') {
+            message.symbol = args.symbol;
+            message.amount = args.amount.toString();
+        }
+
+        return message;
+    }
+
+    async approveMessage(message) {
+        const chain = this.getChain(message.destinationChain);
+        const batch = new CommandBatch(chain.chainId);
+        const { sourceChain, sender, destinationAddress, payloadHash, symbol, amount, transactionHash, logIndex, commandID } = message;
+
+        if (message.type === 'TokenSent') {
+            batch.mintToken(symbol, destinationAddress, amount, commandID);
+        } else if (message.type === 'ContractCallWithToken') {
+            batch.approveContractCallWithMint(
+                sourceChain,
+                sender,
+                destinationAddress,
+                payloadHash,
+                symbol,
+                amount,
+                transactionHash,
+                logIndex,
+                commandID,
+            );
+        } else {
+            batch.approveContractCall(sourceChain, sender, destinationAddress, payloadHash, transactionHash, logIndex, commandID);
+        }
+
+        message.approveTx = (await this.executeBatch(chain.name, batch)).transactionHash;
+        message.status = message.type === 'TokenSent' ? 'executed' : 'approved';
+    }
+
+    async executeMessage(message) {
+        const chain = this.getChain(message.destinationChain);
+        const executable = new Contract(message.destinationAddress, IAxelarExecutable.abi, chain.wallet);
+        const { commandID, sourceChain, sender, payload, symbol, amount } = message;
+
+        const tx =
+            message.type === 'ContractCallWithToken'
+                ? await executable.executeWithToken(commandID, sourceChain, sender, payload, symbol, amount)
+                : await executable.execute(commandID, sourceChain, sender, payload);
+
+        message.executeTx = (await tx.wait()).transactionHash;
+        message.status = 'executed';
+    }
+
+    async relayMessage(message) {
+        try {
+            if (!this.chains[message.destinationChain]) {
+                throw new Error(`Unknown destination chain ${message.destinationChain}`);
+            }
+
+            if (!isAddress(message.destinationAddress)) {
+                throw new Error(`Invalid destination address ${message.destinationAddress}`);
+            }
+
+            await this.approveMessage(message);
+
+            if (message.type !== 'TokenSent') {
+                await this.executeMessage(message);
+            }
+        } catch (err) {
+            message.status = message.status === 'approved' ? 'execute_failed' : 'approve_failed';
+            message.error = err.reason || err.message;
+        }
+    }
+
+    async getGasEvents(chain, toBlock) {
+        const events = await chain.gasService.queryFilter('*', chain.lastBlock + 1, toBlock);
+
+        return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    findPaidMessage(sourceChain, { transactionHash, logIndex, args }) {
+        return this.messages.find(
+            (message) =>
+                message.sourceChain === sourceChain.name &&
+                message.transactionHash === transactionHash &&
+                message.logIndex > logIndex &&
+                message.type !== 'TokenSent' &&
+                message.destinationChain === args.destinationChain &&
+                message.destinationAddress === args.destinationAddress &&
+                message.payloadHash === args.payloadHash &&
+                !message.payments.some(({ event }) => GAS_PAID_EVENTS.includes(event)),
+        );
+    }
+
+    findAddedMessage(sourceChain, { args: { txHash, logIndex } }) {
+        return this.messages.find(
+            (message) => message.sourceChain === sourceChain.name && message.transactionHash === txHash && logIndex.eq(message.logIndex),
+        );
+    }
+
+    applyGasEvent(sourceChain, gasEvent) {
+        const { event, args, transactionHash, logIndex } = gasEvent;
+        let message;
+
+        if (GAS_PAID_EVENTS.includes(event)) {
+            message = this.findPaidMessage(sourceChain, gasEvent);
+        } else if (GAS_ADDED_EVENTS.includes(event)) {
+            message = this.findAddedMessage(sourceChain, gasEvent);
+        }
+
+        if (!message) return;
+
+        message.payments.push({
+            event,
+            token: args.gasToken || AddressZero,
+            amount: args.gasFeeAmount.toString(),
+            refundAddress: args.refundAddress,
+            transactionHash,
+            logIndex,
+        });
+    }
+
+    getGasPaid(message) {
+        const paid = {};
+
+        for (const { token, amount } of message.payments) {
+            paid[token] = (paid[token] || BigNumber.from(0)).add(amount);
+        }
+
+        return paid;
+    }
+
+    // the first gas token that covers its configured fee pays for the call
+    getFeeToken(message) {
+        const paid = this.getGasPaid(message);
+
+        return Object.keys(paid).find((token) => this.minGasFees[token] && paid[token].gte(this.minGasFees[token]));
+    }
+
+    isFunded(message) {
+        return !this.minGasFees || message.type === 'TokenSent' || this.getFeeToken(message) !== undefined;
+    }
+
+    // keeps the configured fee and refunds everything else to the refund address of the latest payment
+    async refundGas(message) {
+        const { gasService } = this.getChain(message.sourceChain);
+        const feeToken = this.getFeeToken(message);
+        const { refundAddress } = message.payments[message.payments.length - 1];
+
+        message.gasFee = { token: feeToken, amount: this.minGasFees[feeToken].toString() };
+        message.refunds = [];
+
+        for (const [token, paid] of Object.entries(this.getGasPaid(message))) {
+            const amount = token === feeToken ? paid.sub(this.minGasFees[token]) : paid;
+
+            if (amount.isZero()) continue;
+
+            const receipt = await gasService['refund(bytes32,uint256,address,address,uint256)'](
+                message.transactionHash,
+                message.logIndex,
+                refundAddress,
+                token,
+                amount,
+            ).then((tx) => tx.wait());
+
+            message.refunds.push({ token, amount: amount.toString(), receiver: refundAddress, transactionHash: receipt.transactionHash });
+        }
+    }
+
+    // relays every gateway event emitted since the previous call, along with calls that were waiting for gas,
+    // and returns the messages it went through, calls that are still underfunded are left as insufficient_gas
+    async relay() {
+        for (const chain of Object.values(this.chains)) {
+            const toBlock = await chain.wallet.provider.getBlockNumber();
+            const events = await this.getGatewayEvents(chain, toBlock);
+
+            this.messages.push(...events.map((event) => this.getMessage(chain, event)));
+
+            if (this.minGasFees) {
+                (await this.getGasEvents(chain, toBlock)).forEach((event) => this.applyGasEvent(chain, event));
+            }
+
+            chain.lastBlock = toBlock;
+        }
+
+        const messages = this.messages.filter(({ status }) => status === 'pending' || status === 'insufficient_gas');
+
+        for (const message of messages) {
+            if (!this.isFunded(message)) {
+                message.status = 'insufficient_gas';
+                continue;
+            }
+
+            await this.relayMessage(message);
+
+            if (this.minGasFees && message.status === 'executed' && message.type !== 'TokenSent') {
+                await this.refundGas(message);
+            }
+        }
+
+        return messages;
+    }
+}
+
+module.exports = {
+    GMPSimulator,
+    getCommandID,
+};
@@ -3,18 +3,16 @@
 require('dotenv').config();
 
 const { ethers } = require('hardhat');
-const {
-    getContractAt,
-    Wallet,
-    providers: { JsonRpcProvider },
-} = ethers;
+const { getContractAt } = ethers;
 
 const { printLog, printObj, confirm, parseWei, getTxOptions } = require('./utils');
+const { getProvider } = require('./dry-run');
+const { getSigner, getSignerType } = require('./signer');
 
 // these environment variables should be defined in an '.env' file
 const skipConfirm = process.env.SKIP_CONFIRM;
 const url = process.env.URL;
-const privKey = process.env.PRIVATE_KEY;
+const signerType = getSignerType();
 const destinationChain = process.env.DESTINATION_CHAIN;
 const symbol = process.env.SYMBOL;
 const amount = process.env.AMOUNT;
@@ -27,7 +25,7 @@ const gasLimit = process.env.GAS_LIMIT ? Number(process.env.GAS_LIMIT) : Number(
 confirm(
     {
         URL: url || null,
-        PRIVATE_KEY: '*****REDACTED*****' || null,
+        SIGNER: signerType || null,
         DESTINATION_CHAIN: destinationChain || null,
         SYMBOL: symbol || null,
         AMOUNT: amount || null,
@@ -38,14 +36,15 @@ confirm(
         GAS_LIMIT: gasLimit || null,
         SKIP_CONFIRM: skipConfirm || null,
     },
-    url && privKey && destinationChain && symbol && amount && gatewayAddress,
+    url && signerType && destinationChain && symbol && amount && gatewayAddress,
 );
-const provider = new JsonRpcProvider(url);
-const wallet = new Wallet(privKey, provider);
 const payload = Buffer.from([]);
 const transactions = {};
 
 (async () => {
+    const provider = await getProvider(url);
+    const wallet = await getSigner({}, provider);
+
     printLog('fetching fee data');
     const feeData = await provider.getFeeData();
     printObj({ feeData });
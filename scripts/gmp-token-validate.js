@@ -3,19 +3,16 @@
 require('dotenv').config();
 
 const { ethers } = require('hardhat');
-const {
-    getContractAt,
-    Wallet,
-    utils,
-    providers: { JsonRpcProvider },
-} = ethers;
+const { getContractAt, utils } = ethers;
 
 const { printLog, printObj, confirm, parseWei, getTxOptions } = require('./utils');
+const { getProvider } = require('./dry-run');
+const { getSigner, getSignerType } = require('./signer');
 
 // these environment variables should be defined in an '.env' file
 const skipConfirm = process.env.SKIP_CONFIRM;
 const url = process.env.URL;
-const privKey = process.env.PRIVATE_KEY;
+const signerType = getSignerType();
 const sourceChain = process.env.SOURCE_CHAIN;
 const commandIDhex = process.env.COMMAND_ID;
 const symbol = process.env.SYMBOL;
@@ -29,7 +26,7 @@ const gasLimit = process.env.GAS_LIMIT ? Number(process.env.GAS_LIMIT) : Number(
 confirm(
     {
         URL: url || null,
-        PRIVATE_KEY: '*****REDACTED*****' || null,
+        SIGNER: signerType || null,
         SOURCE_CHAIN: sourceChain || null,
         COMMAND_ID: commandIDhex || null,
         SYMBOL: symbol || null,
@@ -41,15 +38,16 @@ confirm(
         GAS_LIMIT: gasLimit || null,
         SKIP_CONFIRM: skipConfirm || null,
     },
-    url && privKey && sourceChain && commandIDhex && symbol && amount && gatewayAddress,
+    url && signerType && sourceChain && commandIDhex && symbol && amount && gatewayAddress,
 );
-const provider = new JsonRpcProvider(url);
-const wallet = new Wallet(privKey, provider);
 const hash = utils.keccak256(utils.arrayify(Buffer.from([])));
 const commandID = utils.arrayify(commandIDhex.startsWith('0x') ? commandIDhex : '0x' + commandIDhex);
 const transactions = {};
 
 (async () => {
+    const provider = await getProvider(url);
+    const wallet = await getSigner({}, provider);
+
     printLog('fetching fee data');
     const feeData = await provider.getFeeData();
     printObj({ feeData });
@@ -0,0 +1,90 @@
+'use strict';
+
+const {
+    Contract,
+    BigNumber,
+    utils: { defaultAbiCoder, keccak256 },
+} = require('ethers');
+
+const InterchainGovernance = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/governance/InterchainGovernance.sol/InterchainGovernance.json');
+
+// matches InterchainGovernance.GovernanceCommand
+const GOVERNANCE_COMMANDS = ['ScheduleTimeLockProposal', 'CancelTimeLockProposal'];
+
+const getGovernanceCommand = (name) => {
+    const command = GOVERNANCE_COMMANDS.indexOf(name);
+
+    if (command === -1) {
+        throw new Error(`Unknown governance command ${name}, expected one of ${GOVERNANCE_COMMANDS.join(', ')}`);
+    }
+
+    return command;
+};
+
+const getProposalHash = (target, calldata, nativeValue) =>
+    keccak256(defaultAbiCoder.encode(['address', 'bytes', 'uint256'], [target, calldata, nativeValue]));
+
+const getProposalPayload = (command, target, calldata, nativeValue, eta) =>
+    defaultAbiCoder.encode(['uint256', 'address', 'bytes', 'uint256', 'uint256'], [command, target, calldata, nativeValue, eta]);
+
+const getGovernanceContract = (address, provider) => new Contract(address, InterchainGovernance.abi, provider);
+
+const toTime = (timestamp) => ({ timestamp, date: new Date(timestamp * 1000).toISOString() });
+
+// the governance contract schedules the proposal at max(eta, time of the relayed call + minimumTimeLockDelay)
+function getTimeline(now, eta, minimumTimeLockDelay) {
+    const earliestEta = Math.max(eta, now + minimumTimeLockDelay);
+
+    return {
+        now: toTime(now),
+        requestedEta: eta > 0 ? toTime(eta) : undefined,
+        minimumTimeLockDelay,
+        executableAfter: toTime(earliestEta),
+        note: `if relayed later, the proposal is executable ${minimumTimeLockDelay}s after it is relayed or at the requested eta, whichever is later`,
+    };
+}
+
+// everything needed to submit a proposal from the governance chain and to execute it once its eta passed
+async function getProposalBundle(
+    governance,
+    { destinationChain, target, calldata, nativeValue = 0, eta = 0, command = GOVERNANCE_COMMANDS[0] },
+) {
+    const [governanceChain, governanceAddress, minimumTimeLockDelay, { timestamp }] = await Promise.all([
+        governance.governanceChain(),
+        governance.governanceAddress(),
+        governance.minimumTimeLockDelay(),
+        governance.provider.getBlock('latest'),
+    ]);
+    const payload = getProposalPayload(getGovernanceCommand(command), target, calldata, nativeValue, eta);
+
+    return {
+        command,
+        target,
+        calldata,
+        nativeValue: BigNumber.from(nativeValue).toString(),
+        eta,
+        proposalHash: getProposalHash(target, calldata, nativeValue),
+        gmp: {
+            sourceChain: governanceChain,
+            sourceAddress: governanceAddress,
+            destinationChain,
+            destinationAddress: governance.address,
+            payload,
+            payloadHash: keccak256(payload),
+        },
+        execution: {
+            governance: governance.address,
+            calldata: governance.interface.encodeFunctionData('executeProposal', [target, calldata, nativeValue]),
+            value: BigNumber.from(nativeValue).toString(),
+        },
+        timeline: getTimeline(timestamp, eta, minimumTimeLockDelay.toNumber()),
+    };
+}
+
+module.exports = {
+    GOVERNANCE_COMMANDS,
+    getProposalHash,
+    getProposalPayload,
+    getGovernanceContract,
+    getProposalBundle,
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+    utils: { isAddress },
+} = require('ethers');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const AxelarGasService = require('../artifacts/contracts/gas-service/AxelarGasService.sol/AxelarGasService.json');
+const AxelarDepositService = require('../artifacts/contracts/deposit-service/AxelarDepositService.sol/AxelarDepositService.json');
+const { printLog, writeJSON, getInfoPath } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+
+// the fields of each contract entry and how to read them from the deployed contract
+const CONTRACT_FIELDS = {
+    AxelarGateway: {
+        abi: AxelarGateway.abi,
+        fields: {
+            implementation: (contract) => contract.implementation(),
+            authModule: (contract) => contract.authModule(),
+            tokenDeployer: (contract) => contract.tokenDeployer(),
+            governance: (contract) => contract.governance(),
+            mintLimiter: (contract) => contract.mintLimiter(),
+        },
+    },
+    AxelarGasService: {
+        abi: AxelarGasService.abi,
+        fields: {
+            implementation: (contract) => contract.implementation(),
+            owner: (contract) => contract.owner(),
+            collector: (contract) => contract.gasCollector(),
+        },
+    },
+    AxelarDepositService: {
+        abi: AxelarDepositService.abi,
+        fields: {
+            implementation: (contract) => contract.implementation(),
+            owner: (contract) => contract.owner(),
+            refundIssuer: (contract) => contract.refundIssuer(),
+            wrappedSymbol: (contract) => contract.wrappedSymbol(),
+        },
+    },
+};
+
+const isEqual = (expected, actual) =>
+    isAddress(actual) && typeof expected === 'string' ? expected.toLowerCase() === actual.toLowerCase() : expected === actual;
+
+const getStatus = (expected, actual) => {
+    if (expected === undefined) return 'missing';
+
+    return isEqual(expected, actual) ? 'ok' : 'drift';
+};
+
+// upgradable contracts are owned by their deployer unless the info records a transfer
+const getExpected = (entry, field) => (field === 'owner' ? entry.owner ?? entry.deployer : entry[field]);
+
+async function getContractDrift(provider, chain, contractName) {
+    const entry = chain[contractName];
+    const { abi, fields } = CONTRACT_FIELDS[contractName];
+    const row = (field, expected, actual, status) => ({ chain: chain.name, contract: contractName, field, expected, actual, status });
+
+    if (!entry.address) return [row('address', undefined, undefined, 'missing')];
+
+    if ((await provider.getCode(entry.address)) === '0x') {
+        return [row('address', entry.address, 'no contract code', 'error')];
+    }
+
+    const contract = new Contract(entry.address, abi, provider);
+    const rows = [];
+
+    for (const [field, read] of Object.entries(fields)) {
+        const expected = getExpected(entry, field);
+        const actual = await read(contract).catch(() => undefined);
+
+        // older deployments don't implement every getter, that's only a problem when the info records a value
+        if (actual === undefined) {
+            rows.push(row(field, expected, 'call failed', expected === undefined ? 'skipped' : 'error'));
+            continue;
+        }
+
+        rows.push(row(field, expected, actual, getStatus(expected, actual)));
+    }
+
+    return rows;
+}
+
+// compares every contract entry of a chain with what is deployed, rows are { chain, contract, field, expected, actual, status }
+// with status ok | drift | missing | skipped | error, chain level rows have no contract and are never rewritten
+async function getChainDrift(provider, chain) {
+    const { chainId } = await provider.getNetwork();
+    const rows = [
+        { chain: chain.name, field: 'chainId', expected: chain.chainId, actual: chainId, status: getStatus(chain.chainId, chainId) },
+    ];
+
+    if (chain.gateway && chain.AxelarGateway?.address) {
+        rows.push({
+            chain: chain.name,
+            field: 'gateway',
+            expected: chain.gateway,
+            actual: chain.AxelarGateway.address,
+            status: getStatus(chain.gateway, chain.AxelarGateway.address),
+        });
+    }
+
+    for (const contractName of Object.keys(CONTRACT_FIELDS).filter((name) => chain[name])) {
+        rows.push(...(await getContractDrift(provider, chain, contractName)));
+    }
+
+    return rows;
+}
+
+// records the observed values of the drifted and missing fields in the chain entries, returns the rows that were applied
+function applyDrift(chains, rows) {
+    const updates = rows.filter(
+        ({ contract, status, actual }) => contract && (status === 'drift' || status === 'missing') && actual !== undefined,
+    );
+
+    for (const { chain: name, contract, field, actual } of updates) {
+        const chain = chains.find((chain) => chain.name === name);
+        chain[contract][field] = actual;
+    }
+
+    return updates;
+}
+
+async function main(values) {
+    const infoPath = values.info || getInfoPath(values.env);
+    const names = values.chains && values.chains.split(',').map((name) => name.toLowerCase());
+    const chains = loadChainInfo(infoPath);
+    const rows = [];
+
+    for (const chain of chains.filter((chain) => !names || names.includes(chain.id.toLowerCase()))) {
+        printLog(`checking ${chain.name}`);
+
+        rows.push(
+            ...(await getChainDrift(new JsonRpcProvider(chain.rpc), chain).catch((err) => [
+                { chain: chain.name, field: 'rpc', expected: chain.rpc, actual: err.message, status: 'error' },
+            ])),
+        );
+    }
+
+    console.table(rows.filter(({ status }) => values.all || status !== 'ok'));
+
+    const issues = rows.filter(({ status }) => ['drift', 'missing', 'error'].includes(status));
+    let updated = [];
+
+    if (values.write) {
+        updated = applyDrift(chains, rows);
+
+        writeJSON(chains, infoPath);
+        printLog(`updated ${updated.length} field(s) in ${infoPath}`);
+    }
+
+    printLog(`${issues.length} issue(s) across ${rows.length} checks`);
+
+    if (issues.length > updated.length) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            info: { type: 'string' },
+            chains: { type: 'string' },
+            write: { type: 'boolean', default: false },
+            all: { type: 'boolean', default: false },
+        },
+    });
+
+    if (!values.env && !values.info) {
+        console.error(
+            'Usage: node scripts/info-drift.js (--env <env> | --info <chain info file>) [--chains <chain,...>] [--write] [--all]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    CONTRACT_FIELDS,
+    getChainDrift,
+    applyDrift,
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+const { execSync } = require('child_process');
+const { readFileSync } = require('fs');
+const http = require('http');
+const https = require('https');
+const { sortBy } = require('lodash');
+const {
+    utils: { computeAddress },
+} = require('ethers');
+
+// each query as an axelard CLI command and as the matching LCD (REST) path, both return the same JSON
+const QUERIES = {
+    tssKeyID: {
+        command: (chain, role) => `axelard q tss key-id ${chain} ${role}`,
+        parseOutput: (output) => ({ key_id: output.replaceAll('\n', '') }),
+        path: (chain, role) => `/axelar/tss/v1beta1/key_id/${chain}/${role}`,
+    },
+    tssKey: {
+        command: (keyID) => `axelard q tss key ${keyID} --output json`,
+        path: (keyID) => `/axelar/tss/v1beta1/key/${keyID}`,
+    },
+    externalKeyIDs: {
+        command: (chain) => `axelard q tss external-key-id ${chain} --output json`,
+        path: (chain) => `/axelar/tss/v1beta1/external_key_id/${chain}`,
+    },
+    multisigKeyID: {
+        command: (chain) => `axelard q multisig key-id ${chain} --output json`,
+        path: (chain) => `/axelar/multisig/v1beta1/key_id/${chain}`,
+    },
+    evmAddresses: {
+        command: (chain, keyID) => `axelard q evm address ${chain} --key-id ${keyID} --output json`,
+        path: (chain, keyID) => `/axelar/evm/v1beta1/address/${chain}?key_id=${keyID}`,
+    },
+    gatewayAddress: {
+        command: (chain) => `axelard q evm gateway-address ${chain} --output json`,
+        path: (chain) => `/axelar/evm/v1beta1/gateway_address/${chain}`,
+    },
+};
+
+const pad = (coordinate) => `${'0'.repeat(64)}${coordinate}`.slice(-64);
+
+const toAddress = ({ x, y }) => computeAddress(`0x04${pad(x)}${pad(y)}`);
+
+// a stuck LCD would otherwise hang the scripts waiting on it
+const REQUEST_TIMEOUT = 30000;
+
+function getJSON(url, timeout = REQUEST_TIMEOUT) {
+    const { get } = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = get(url, (res) => {
+            let body = '';
+
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => (body += chunk));
+            res.on('end', () => {
+                if (res.statusCode >= 300) {
+                    reject(new Error(`GET ${url} responded with ${res.statusCode}: ${body}`));
+                    return;
+                }
+
+                try {
+                    resolve(JSON.parse(body));
+                } catch (err) {
+                    reject(new Error(`GET ${url} responded with invalid JSON: ${body.slice(0, 200)}`));
+                }
+            });
+        }).on('error', reject);
+
+        req.setTimeout(timeout, () => req.destroy(new Error(`GET ${url} timed out after ${timeout}ms`)));
+    });
+}
+
+// resolves the keys of a chain through the Axelar network queries, subclasses only define how a query is run
+class AxelarKeySource {
+    async query() {
+        throw new Error('query is not implemented');
+    }
+
+    // legacy tss keys, the role is master for owners and secondary for operators
+    async getTssAddresses(chain, role) {
+        const { key_id: keyID } = await this.query('tssKeyID', chain, role);
+        const { multisig_key: multisigKey } = await this.query('tssKey', keyID);
+
+        return {
+            addresses: sortBy(multisigKey.key.map(toAddress), (address) => address.toLowerCase()),
+            threshold: Number(multisigKey.threshold),
+        };
+    }
+
+    getOwners(chain) {
+        return this.getTssAddresses(chain, 'master');
+    }
+
+    getOperators(chain) {
+        return this.getTssAddresses(chain, 'secondary');
+    }
+
+    async getAdminAddresses(chain) {
+        const { key_ids: keyIDs } = await this.query('externalKeyIDs', chain);
+        const addresses = [];
+
+        for (const keyID of keyIDs) {
+            addresses.push(toAddress((await this.query('tssKey', keyID)).ecdsa_key.key));
+        }
+
+        return addresses;
+    }
+
+    async getEVMAddresses(chain) {
+        const { key_id: keyID } = await this.query('multisigKeyID', chain);
+        const evmAddresses = await this.query('evmAddresses', chain, keyID);
+        const sortedAddresses = sortBy(evmAddresses.addresses, ({ address }) => address.toLowerCase());
+
+        return {
+            addresses: sortedAddresses.map(({ address }) => address),
+            weights: sortedAddresses.map(({ weight }) => Number(weight)),
+            threshold: Number(evmAddresses.threshold),
+        };
+    }
+
+    async getProxy(chain) {
+        return (await this.query('gatewayAddress', chain)).address;
+    }
+}
+
+// runs axelard through a prefix such as `docker exec axelar-core sh -c`
+class AxelardKeySource extends AxelarKeySource {
+    constructor(prefix) {
+        super();
+        this.prefix = prefix;
+    }
+
+    async query(name, ...args) {
+        const { command, parseOutput = JSON.parse } = QUERIES[name];
+
+        return parseOutput(execSync(`${this.prefix} "${command(...args)}"`, { encoding: 'utf-8' }));
+    }
+}
+
+class LcdKeySource extends AxelarKeySource {
+    constructor(url, { timeout = REQUEST_TIMEOUT } = {}) {
+        super();
+        this.url = url.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    query(name, ...args) {
+        return getJSON(`${this.url}${QUERIES[name].path(...args)}`, this.timeout);
+    }
+}
+
+// fixed keys per chain, e.g. { "Ethereum": { "operators": { "addresses": [], "weights": [], "threshold": 1 }, "gateway": "0x.." } }
+// with owners, legacyOperators ({ addresses, threshold }) and admins ([address]) for the legacy gateway
+class FileKeySource {
+    constructor(keys) {
+        this.keys = typeof keys === 'string' ? JSON.parse(readFileSync(keys, 'utf8')) : keys;
+    }
+
+    get(chain, key) {
+        const chainKey = Object.keys(this.keys).find((name) => name.toLowerCase() === chain.toLowerCase());
+        const value = chainKey && this.keys[chainKey][key];
+
+        if (value === undefined) {
+            throw new Error(`No ${key} for ${chain} in the key file`);
+        }
+
+        return value;
+    }
+
+    async getOwners(chain) {
+        return this.get(chain, 'owners');
+    }
+
+    async getOperators(chain) {
+        return this.get(chain, 'legacyOperators');
+    }
+
+    async getAdminAddresses(chain) {
+        return this.get(chain, 'admins');
+    }
+
+    async getEVMAddresses(chain) {
+        const { addresses, weights, threshold } = this.get(chain, 'operators');
+        const sorted = sortBy(
+            addresses.map((address, i) => [address, weights[i]]),
+            ([address]) => address.toLowerCase(),
+        );
+
+        return {
+            addresses: sorted.map(([address]) => address),
+            weights: sorted.map(([, weight]) => Number(weight)),
+            threshold: Number(threshold),
+        };
+    }
+
+    async getProxy(chain) {
+        return this.get(chain, 'gateway');
+    }
+}
+
+// picks the key source from the --prefix, --lcd and --keys-file options of a script, undefined when none is given
+function getKeySource({ prefix, lcd, 'keys-file': keysFile } = {}) {
+    const configured = [prefix, lcd, keysFile].filter(Boolean);
+
+    if (configured.length > 1) {
+        throw new Error('Only one of an axelard prefix, an LCD url or a key file can be used as the key source');
+    }
+
+    if (keysFile) return new FileKeySource(keysFile);
+    if (lcd) return new LcdKeySource(lcd);
+    if (prefix) return new AxelardKeySource(prefix);
+
+    return undefined;
+}
+
+module.exports = {
+    AxelarKeySource,
+    AxelardKeySource,
+    LcdKeySource,
+    FileKeySource,
+    getKeySource,
+};
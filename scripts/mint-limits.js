@@ -0,0 +1,193 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const { readFileSync } = require('fs');
+const readlineSync = require('readline-sync');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+    constants: { AddressZero },
+    utils: { parseUnits, formatUnits },
+} = require('ethers');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const { printLog, printObj, getInfoPath, findChain } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { getDryRunProvider } = require('./dry-run');
+const { getGovernanceContract, getProposalBundle } = require('./governance-proposal');
+const { SIGNER_OPTIONS, UNSIGNED_OPTION, getSigner, getSignerType } = require('./signer');
+
+const DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+const DEFAULT_BATCH_SIZE = 20;
+
+// limits are given in token units, e.g. { "USDC": "1000000", "WETH": "250.5" }, a limit of 0 removes the limit
+async function getMintLimitChanges(gateway, limits) {
+    const changes = [];
+
+    for (const [symbol, amount] of Object.entries(limits)) {
+        const tokenAddress = await gateway.tokenAddresses(symbol);
+
+        if (tokenAddress === AddressZero) {
+            throw new Error(`Token ${symbol} is not deployed on gateway ${gateway.address}`);
+        }
+
+        const decimals = await new Contract(tokenAddress, DECIMALS_ABI, gateway.provider).decimals();
+        const current = await gateway.tokenMintLimit(symbol);
+        const desired = parseUnits(String(amount), decimals);
+
+        changes.push({
+            symbol,
+            decimals,
+            current: formatUnits(current, decimals),
+            desired: formatUnits(desired, decimals),
+            currentLimit: current.toString(),
+            desiredLimit: desired.toString(),
+            changed: !current.eq(desired),
+        });
+    }
+
+    return changes;
+}
+
+// splits the changed limits into setTokenMintLimits calls, keeping each transaction within the block gas limit
+function getMintLimitBatches(gateway, changes, batchSize = DEFAULT_BATCH_SIZE) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(`Invalid batch size ${batchSize}, expected a positive integer`);
+    }
+
+    const changed = changes.filter(({ changed }) => changed);
+    const batches = [];
+
+    for (let i = 0; i < changed.length; i += batchSize) {
+        const symbols = changed.slice(i, i + batchSize).map(({ symbol }) => symbol);
+        const limits = changed.slice(i, i + batchSize).map(({ desiredLimit }) => desiredLimit);
+
+        batches.push({
+            symbols,
+            limits,
+            to: gateway.address,
+            data: gateway.interface.encodeFunctionData('setTokenMintLimits', [symbols, limits]),
+            value: '0',
+        });
+    }
+
+    return batches;
+}
+
+async function setMintLimits(gateway, batches, options = {}) {
+    const sender = await gateway.signer.getAddress();
+    const [mintLimiter, governance] = await Promise.all([gateway.mintLimiter(), gateway.governance()]);
+
+    if (![mintLimiter, governance].includes(sender)) {
+        throw new Error(`${sender} is neither the mint limiter ${mintLimiter} nor the governance ${governance} of the gateway`);
+    }
+
+    const receipts = [];
+
+    for (const { symbols, limits } of batches) {
+        const tx = await gateway.setTokenMintLimits(symbols, limits, options);
+        const receipt = tx.exported ? { exported: tx.exported } : await tx.wait();
+
+        printLog(
+            `set mint limits of ${symbols.join(', ')} ${
+                receipt.exported ? `unsigned in ${receipt.exported}` : `in ${receipt.transactionHash}`
+            }`,
+        );
+        receipts.push(receipt);
+    }
+
+    return receipts;
+}
+
+async function main(values) {
+    const chain = findChain(loadChainInfo(getInfoPath(values.env)), values.chain);
+    const url = values.url || chain.rpc;
+    const provider = values['dry-run'] ? await getDryRunProvider(url) : new JsonRpcProvider(url);
+    const gateway = new Contract(values.gateway || chain.AxelarGateway?.address, AxelarGateway.abi, provider);
+
+    const changes = await getMintLimitChanges(gateway, JSON.parse(readFileSync(values.limits, 'utf8')));
+    const batches = getMintLimitBatches(gateway, changes, Number(values['batch-size']));
+
+    console.table(changes.map(({ symbol, decimals, current, desired, changed }) => ({ symbol, decimals, current, desired, changed })));
+
+    if (batches.length === 0) {
+        printLog(`mint limits on ${chain.name} are up to date`);
+        return;
+    }
+
+    if (values.calldata) {
+        const governanceAddress = values.governance;
+
+        if (!governanceAddress) {
+            printObj({ mint_limit_batches: batches });
+            return;
+        }
+
+        const governance = getGovernanceContract(governanceAddress, provider);
+        const proposals = [];
+
+        for (const { to, data } of batches) {
+            proposals.push(
+                await getProposalBundle(governance, {
+                    destinationChain: chain.id,
+                    target: to,
+                    calldata: data,
+                    eta: Number(values.eta),
+                }),
+            );
+        }
+
+        printObj({ governance_proposals: proposals });
+        return;
+    }
+
+    if (!values.yes && readlineSync.question(`Send ${batches.length} setTokenMintLimits transactions on ${chain.name}? (y/n) `) !== 'y') {
+        printLog('execution cancelled');
+        return;
+    }
+
+    await setMintLimits(gateway.connect(await getSigner(values, provider)), batches, { ...chain.gasOptions });
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chain: { type: 'string' },
+            limits: { type: 'string' },
+            url: { type: 'string' },
+            gateway: { type: 'string' },
+            'batch-size': { type: 'string', default: String(DEFAULT_BATCH_SIZE) },
+            calldata: { type: 'boolean', default: false },
+            governance: { type: 'string' },
+            eta: { type: 'string', default: '0' },
+            yes: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            ...SIGNER_OPTIONS,
+            ...UNSIGNED_OPTION,
+        },
+    });
+
+    if (!values.env || !values.chain || !values.limits || (!values.calldata && !getSignerType(values))) {
+        console.error(
+            'Usage: [PRIVATE_KEY=<mint limiter key> | MNEMONIC=<phrase>] node scripts/mint-limits.js --env <env> --chain <chain> --limits <json file> ' +
+                '[--batch-size <n>] [--calldata [--governance <InterchainGovernance address> --eta <timestamp>]] ' +
+                '[--keystore <file> | --signer-url <url> | --unsigned <file> --signer-address <addr>] [--yes] [--dry-run]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getMintLimitChanges,
+    getMintLimitBatches,
+    setMintLimits,
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const http = require('http');
+const https = require('https');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+} = require('ethers');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const { printLog, getInfoPath } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { MINT_WINDOW, getTokenSymbols } = require('./gateway-snapshot');
+
+const DEFAULT_THRESHOLDS = '0.5,0.8,0.95';
+const DEFAULT_REFRESH = '3600';
+
+// thresholds are ratios of the mint limit, values above 1 are read as percentages
+function parseThresholds(str) {
+    return str.split(',').map((value) => {
+        const threshold = Number(value);
+
+        if (value.trim() === '' || !Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+            throw new Error(`Invalid threshold ${value}, expected a number in (0, 100]`);
+        }
+
+        return threshold > 1 ? threshold / 100 : threshold;
+    });
+}
+
+// mint usage of the current window, tokens without a mint limit can't hit ExceedMintLimit and are skipped
+async function getMintUsage(gateway, symbols) {
+    const { number: blockTag, timestamp } = await gateway.provider.getBlock('latest');
+    const window = Math.floor(timestamp / MINT_WINDOW);
+    const usage = [];
+
+    for (const symbol of symbols) {
+        const mintLimit = await gateway.tokenMintLimit(symbol, { blockTag });
+
+        if (mintLimit.isZero()) continue;
+
+        const mintAmount = await gateway.tokenMintAmount(symbol, { blockTag });
+
+        usage.push({
+            symbol,
+            mintAmount: mintAmount.toString(),
+            mintLimit: mintLimit.toString(),
+            usage: mintAmount.mul(10000).div(mintLimit).toNumber() / 10000,
+            window,
+            resetsIn: (window + 1) * MINT_WINDOW - timestamp,
+            blockNumber: blockTag,
+        });
+    }
+
+    return usage;
+}
+
+// forgets what was sent for a token in windows that have passed, so a long-running monitor doesn't keep a key per window
+function pruneAlerted(alerted, prefix, window) {
+    for (const key of alerted) {
+        if (key.startsWith(prefix) && !key.startsWith(`${prefix}${window}:`)) alerted.delete(key);
+    }
+}
+
+// alerts for the highest threshold crossed in the window, alerted keeps track of what was already sent across polls
+function getAlerts(chain, usage, thresholds, alerted = new Set()) {
+    const alerts = [];
+
+    for (const token of usage) {
+        pruneAlerted(alerted, `${chain}:${token.symbol}:`, token.window);
+
+        const threshold = Math.max(...thresholds.filter((threshold) => token.usage >= threshold));
+        const key = `${chain}:${token.symbol}:${token.window}:${threshold}`;
+
+        if (threshold === -Infinity || alerted.has(key)) continue;
+
+        alerted.add(key);
+        alerts.push({ alert: 'mint_usage', chain, threshold, ...token });
+    }
+
+    return alerts;
+}
+
+function postWebhook(url, body) {
+    const { request } = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+            res.resume();
+            res.on('end', () => (res.statusCode < 300 ? resolve() : reject(new Error(`Webhook ${url} responded with ${res.statusCode}`))));
+        });
+
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+async function emitAlerts(alerts, webhook) {
+    for (const alert of alerts) {
+        console.log(JSON.stringify(alert));
+
+        if (webhook) {
+            await postWebhook(webhook, alert).catch((err) => printLog(`failed to post alert: ${err.message}`));
+        }
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main(values) {
+    const thresholds = parseThresholds(values.thresholds);
+    const refresh = Number(values.refresh) * 1000;
+    const names = values.chains && values.chains.split(',').map((name) => name.toLowerCase());
+    const chains = loadChainInfo(getInfoPath(values.env)).filter(
+        (chain) => (chain.AxelarGateway?.address || chain.gateway) && (!names || names.includes(chain.id.toLowerCase())),
+    );
+    const alerted = new Set();
+    const loadSymbols = async (gateway) =>
+        values.symbols ? values.symbols.split(',') : getTokenSymbols(gateway, Number(values['from-block']));
+    const monitored = chains.map((chain) => ({
+        chain,
+        gateway: new Contract(chain.AxelarGateway?.address || chain.gateway, AxelarGateway.abi, new JsonRpcProvider(chain.rpc)),
+    }));
+
+    while (true) {
+        for (const entry of monitored) {
+            const { chain, gateway } = entry;
+
+            // tokens found on chain are reloaded every refresh to pick up new deployments, a chain whose tokens couldn't be
+            // loaded keeps the ones it had or is retried on the next poll instead of stopping the other chains
+            if (!entry.symbols || (!values.symbols && Date.now() - entry.loadedAt >= refresh)) {
+                const symbols = await loadSymbols(gateway).catch((err) =>
+                    printLog(`failed to load the tokens of ${chain.name}: ${err.message}`),
+                );
+
+                if (symbols) {
+                    if (symbols.length !== entry.symbols?.length) printLog(`monitoring ${symbols.length} tokens on ${chain.name}`);
+
+                    Object.assign(entry, { symbols, loadedAt: Date.now() });
+                }
+
+                if (!entry.symbols) continue;
+            }
+
+            const usage = await getMintUsage(gateway, entry.symbols).catch((err) =>
+                printLog(`failed to poll ${chain.name}: ${err.message}`),
+            );
+
+            if (usage) {
+                await emitAlerts(getAlerts(chain.id, usage, thresholds, alerted), values.webhook);
+            }
+        }
+
+        if (values.once) return;
+
+        await sleep(Number(values.interval) * 1000);
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chains: { type: 'string' },
+            symbols: { type: 'string' },
+            'from-block': { type: 'string', default: '0' },
+            thresholds: { type: 'string', default: DEFAULT_THRESHOLDS },
+            interval: { type: 'string', default: '60' },
+            refresh: { type: 'string', default: DEFAULT_REFRESH },
+            webhook: { type: 'string' },
+            once: { type: 'boolean', default: false },
+        },
+    });
+
+    if (!values.env) {
+        console.error(
+            'Usage: node scripts/mint-monitor.js --env <env> [--chains <chain,...>] [--symbols <symbol,...>] ' +
+                '[--thresholds <ratio or percent,...>] [--interval <seconds>] [--refresh <seconds>] [--webhook <url>] [--once]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    parseThresholds,
+    getMintUsage,
+    getAlerts,
+    postWebhook,
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const {
+    Contract,
+    BigNumber,
+    providers: { JsonRpcProvider },
+} = require('ethers');
+
+const { printLog, writeJSON, getInfoPath, findChain } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { OLD_KEY_RETENTION, getAuthContract, getOperatorEpochs } = require('./proof-validator');
+
+const getStatus = (epoch, currentEpoch) => {
+    if (epoch === currentEpoch) return 'current';
+
+    return currentEpoch - epoch < OLD_KEY_RETENTION ? 'valid' : 'expired';
+};
+
+// operator epochs as of blockNumber, valid epochs can still sign batches for the gateway at that block
+async function getOperatorHistory(auth, { fromBlock = 0, blockNumber } = {}) {
+    const blockTag = blockNumber === undefined ? await auth.provider.getBlockNumber() : blockNumber;
+    const epochs = await getOperatorEpochs(auth, fromBlock, blockTag);
+    const currentEpoch = (await auth.currentEpoch({ blockTag })).toNumber();
+
+    return {
+        blockNumber: blockTag,
+        currentEpoch,
+        epochs: epochs.map((epoch) => ({
+            ...epoch,
+            totalWeight: epoch.weights.reduce((total, weight) => total.add(weight), BigNumber.from(0)).toString(),
+            status: getStatus(epoch.epoch, currentEpoch),
+        })),
+    };
+}
+
+async function main(values) {
+    let url = values.url;
+    let gateway = values.gateway;
+
+    if (values.env) {
+        const chain = findChain(loadChainInfo(getInfoPath(values.env)), values.chain);
+        url = url || chain.rpc;
+        gateway = gateway || chain.AxelarGateway?.address;
+    }
+
+    const provider = new JsonRpcProvider(url);
+    const blockNumber = values.block ? Number(values.block) : await provider.getBlockNumber();
+    // the gateway may have had another auth module at the requested block
+    const auth =
+        values.auth ||
+        (await new Contract(gateway, ['function authModule() view returns (address)'], provider).authModule({ blockTag: blockNumber }));
+    const history = await getOperatorHistory(getAuthContract(auth, provider), { fromBlock: Number(values['from-block']), blockNumber });
+
+    printLog(`operators of auth module ${auth} at block ${history.blockNumber}, current epoch ${history.currentEpoch}`);
+
+    console.table(
+        history.epochs.map(({ epoch, status, operatorsHash, operators, totalWeight, threshold, blockNumber }) => ({
+            epoch,
+            status,
+            operatorsHash,
+            operators: operators.length,
+            totalWeight,
+            threshold,
+            blockNumber,
+        })),
+    );
+
+    const [first] = history.epochs;
+
+    if (!first || first.epoch > Math.max(1, history.currentEpoch - OLD_KEY_RETENTION + 1)) {
+        printLog(`no events found for some of the valid epochs, lower --from-block than ${values['from-block']}`);
+    }
+
+    if (values.output) {
+        writeJSON({ auth, ...history }, values.output);
+        printLog(`operator history written to ${values.output}`);
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chain: { type: 'string' },
+            url: { type: 'string' },
+            gateway: { type: 'string' },
+            auth: { type: 'string' },
+            block: { type: 'string' },
+            'from-block': { type: 'string', default: '0' },
+            output: { type: 'string' },
+        },
+    });
+
+    if (!(values.env && values.chain) && !(values.url && (values.gateway || values.auth))) {
+        console.error(
+            'Usage: node scripts/operator-history.js (--env <env> --chain <chain> | --url <rpc url> (--gateway <address> | --auth <address>)) ' +
+                '[--block <n>] [--from-block <n>] [--output <file>]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getOperatorHistory,
+};
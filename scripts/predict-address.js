@@ -0,0 +1,140 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const {
+    VoidSigner,
+    providers: { JsonRpcProvider },
+} = require('ethers');
+const { predictContractConstant } = require('@axelar-network/axelar-gmp-sdk-solidity');
+
+const { printLog, getInfoPath } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { getSalt, getArtifacts } = require('./deploy-upgradable');
+const { SIGNER_OPTIONS, getSigner, getSignerType } = require('./signer');
+
+const ARTIFACT_PATHS = {
+    AxelarGasService: '../artifacts/contracts/gas-service/',
+    AxelarDepositService: '../artifacts/contracts/deposit-service/',
+};
+
+// the address most chains agree on, chains that differ need a look before deploying
+function getCommonAddress(rows) {
+    const counts = {};
+
+    rows.filter(({ predicted }) => predicted).forEach(({ predicted }) => (counts[predicted] = (counts[predicted] || 0) + 1));
+
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+}
+
+const getStatus = ({ predicted, deployed, recorded }, common) => {
+    if (predicted !== common) return 'differs';
+    if (recorded && recorded.toLowerCase() !== predicted.toLowerCase()) return 'mismatch';
+
+    return deployed ? 'deployed' : 'free';
+};
+
+// predicts the proxy address of a ConstAddressDeployer deployment on each chain, rows are
+// { chain, constAddressDeployer, predicted, deployed, recorded, status } with status
+// free | deployed | differs (from the address most chains share) | mismatch (with the recorded address) | error
+async function predictAddresses(
+    chains,
+    { contractName, proxyJson, salt, deployer },
+    { getProvider = (chain) => new JsonRpcProvider(chain.rpc) } = {},
+) {
+    const rows = [];
+
+    for (const chain of chains) {
+        const row = {
+            chain: chain.name,
+            constAddressDeployer: chain.constAddressDeployer,
+            recorded: chain[contractName]?.address,
+        };
+
+        try {
+            if (!chain.constAddressDeployer) throw new Error('Missing constAddressDeployer in the chain info');
+
+            const provider = await getProvider(chain);
+
+            if ((await provider.getCode(chain.constAddressDeployer)) === '0x') {
+                throw new Error(`No ConstAddressDeployer at ${chain.constAddressDeployer}`);
+            }
+
+            row.predicted = await predictContractConstant(chain.constAddressDeployer, new VoidSigner(deployer, provider), proxyJson, salt);
+            row.deployed = (await provider.getCode(row.predicted)) !== '0x';
+        } catch (err) {
+            row.error = err.message;
+        }
+
+        rows.push(row);
+    }
+
+    const common = getCommonAddress(rows);
+
+    return rows.map((row) => ({ ...row, status: row.error ? 'error' : getStatus(row, common) }));
+}
+
+async function main(values) {
+    const contractName = values.contract;
+    const names = values.chains && values.chains.split(',').map((name) => name.toLowerCase());
+    const chains = loadChainInfo(getInfoPath(values.env)).filter((chain) => !names || names.includes(chain.id.toLowerCase()));
+    const salt = values.salt || getSalt(values.env, contractName);
+    const deployer = values.deployer || (await getSigner(values)).address;
+    const { proxyJson } = getArtifacts(values.artifacts || ARTIFACT_PATHS[contractName], contractName);
+
+    printLog(`predicting the ${contractName} proxy for deployer ${deployer} and salt '${salt}'`);
+
+    const rows = await predictAddresses(chains, { contractName, proxyJson, salt, deployer });
+
+    console.table(rows);
+
+    const flagged = rows.filter(({ status }) => ['differs', 'mismatch', 'error'].includes(status));
+
+    if (flagged.length > 0) {
+        printLog(`check ${flagged.map(({ chain }) => chain).join(', ')} before deploying`);
+        process.exitCode = 1;
+        return;
+    }
+
+    printLog(`${contractName} will be deployed to ${getCommonAddress(rows)} on every chain`);
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            contract: { type: 'string' },
+            salt: { type: 'string' },
+            deployer: { type: 'string' },
+            artifacts: { type: 'string' },
+            chains: { type: 'string' },
+            ...SIGNER_OPTIONS,
+        },
+    });
+
+    // the signer is only needed for its address, so it is left out when the deployer is given
+    if (
+        !values.env ||
+        !values.contract ||
+        (!values.artifacts && !ARTIFACT_PATHS[values.contract]) ||
+        (!values.deployer && !getSignerType(values))
+    ) {
+        console.error(
+            'Usage: node scripts/predict-address.js --env <env> --contract <name> [--artifacts <artifacts dir, required for ' +
+                `contracts other than ${Object.keys(ARTIFACT_PATHS).join(', ')}>] [--salt <key>] [--chains <chain,...>] ` +
+                '(--deployer <address> | [PRIVATE_KEY=<key> | MNEMONIC=<phrase>] [--keystore <file> | --signer-url <url> [--signer-address <addr>]])',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getCommonAddress,
+    predictAddresses,
+};
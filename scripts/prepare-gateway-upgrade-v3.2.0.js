@@ -5,22 +5,25 @@ require('dotenv').config();
 const {
     Contract,
     ContractFactory,
-    Wallet,
-    providers: { JsonRpcProvider },
     utils: { defaultAbiCoder, arrayify, keccak256 },
 } = require('ethers');
 
 const { join, resolve } = require('node:path');
-const { printLog, printObj, confirm, getOwners, getOperators, getAdminAddresses, parseWei, getTxOptions } = require('./utils');
+const { printLog, printObj, confirm, parseWei, getTxOptions } = require('./utils');
+const { getProvider } = require('./dry-run');
+const { getKeySource } = require('./key-source');
+const { getSigner, getSignerType } = require('./signer');
 
 // these environment variables should be defined in an '.env' file
 const contractsPath = resolve(process.env.CONTRACTS_PATH || './build');
 const skipConfirm = process.env.SKIP_CONFIRM;
 const prefix = process.env.PREFIX;
+const lcd = process.env.AXELAR_LCD;
+const keysFile = process.env.KEYS_FILE;
 const chain = process.env.CHAIN;
 const url = process.env.URL;
 const proxyAddress = process.env.PROXY_ADDRESS;
-const privKey = process.env.PRIVATE_KEY;
+const signerType = getSignerType();
 const adminThreshold = parseInt(process.env.ADMIN_THRESHOLD);
 const gasPrice = parseWei(process.env.GAS_PRICE);
 const maxFeePerGas = parseWei(process.env.MAX_FEE_PER_GAS);
@@ -31,9 +34,11 @@ confirm(
     {
         CONTRACTS_PATH: contractsPath || null,
         PREFIX: prefix || null,
+        AXELAR_LCD: lcd || null,
+        KEYS_FILE: keysFile || null,
         CHAIN: chain || null,
         URL: url || null,
-        PRIVATE_KEY: privKey || null,
+        SIGNER: signerType || null,
         ADMIN_THRESHOLD: adminThreshold || null,
         PROXY_ADDRESS: proxyAddress || null,
         MAX_FEE_PER_GAS: maxFeePerGas?.toString() || null,
@@ -42,48 +47,56 @@ confirm(
         GAS_LIMIT: gasLimit || null,
         SKIP_CONFIRM: skipConfirm || null,
     },
-    prefix && chain && url && privKey && adminThreshold && proxyAddress,
-);
-
-const provider = new JsonRpcProvider(url);
-const wallet = new Wallet(privKey, provider);
-
-const admins = getAdminAddresses(prefix, chain);
-printObj({ admins: { addresses: admins, threshold: adminThreshold } });
-
-printLog('retrieving owner addresses');
-const { addresses: owners, threshold: ownerThreshold } = getOwners(prefix, chain);
-printObj({ owners, threshold: ownerThreshold });
-
-printLog('retrieving operator addresses');
-const { addresses: operators, threshold: operatorThreshold } = getOperators(prefix, chain);
-printObj({ operators, threshold: operatorThreshold });
-
-const params = defaultAbiCoder.encode(
-    ['address[]', 'uint8', 'address[]', 'uint8', 'address[]', 'uint8'],
-    [admins, adminThreshold, owners, ownerThreshold, operators, operatorThreshold],
+    (prefix || lcd || keysFile) && chain && url && signerType && adminThreshold && proxyAddress,
 );
 
 const TokenDeployerPath = join(contractsPath, 'TokenDeployer.json');
 const TokenDeployer = require(TokenDeployerPath);
-const tokenDeployerFactory = new ContractFactory(TokenDeployer.abi, TokenDeployer.bytecode, wallet);
+const tokenDeployerFactory = new ContractFactory(TokenDeployer.abi, TokenDeployer.bytecode);
 
 const AxelarGatewayMultisigPath = join(contractsPath, 'AxelarGatewayMultisig.json');
 const AxelarGatewayMultisig = require(AxelarGatewayMultisigPath);
-const axelarGatewayMultisigFactory = new ContractFactory(AxelarGatewayMultisig.abi, AxelarGatewayMultisig.bytecode, wallet);
+const axelarGatewayMultisigFactory = new ContractFactory(AxelarGatewayMultisig.abi, AxelarGatewayMultisig.bytecode);
 
 const AxelarGatewayPath = join(contractsPath, 'AxelarGateway.json');
 const AxelarGateway = require(AxelarGatewayPath);
 
-printLog(`deploying token deployer contract`);
+const keySource = getKeySource({ prefix, lcd, 'keys-file': keysFile });
 
-tokenDeployerFactory
-    .deploy()
+let provider;
+let wallet;
+let params;
+
+(async () => {
+    const admins = await keySource.getAdminAddresses(chain);
+    printObj({ admins: { addresses: admins, threshold: adminThreshold } });
+
+    printLog('retrieving owner addresses');
+    const { addresses: owners, threshold: ownerThreshold } = await keySource.getOwners(chain);
+    printObj({ owners, threshold: ownerThreshold });
+
+    printLog('retrieving operator addresses');
+    const { addresses: operators, threshold: operatorThreshold } = await keySource.getOperators(chain);
+    printObj({ operators, threshold: operatorThreshold });
+
+    params = defaultAbiCoder.encode(
+        ['address[]', 'uint8', 'address[]', 'uint8', 'address[]', 'uint8'],
+        [admins, adminThreshold, owners, ownerThreshold, operators, operatorThreshold],
+    );
+})()
+    .then(() => getProvider(url))
+    .then(async (urlProvider) => {
+        provider = urlProvider;
+        wallet = await getSigner({}, provider);
+
+        printLog(`deploying token deployer contract`);
+        return tokenDeployerFactory.connect(wallet).deploy();
+    })
     .then((tokenDeployer) => tokenDeployer.deployed())
     .then(({ address }) => {
         printObj({ token_deployer: address });
         printLog(`deploying gateway implementation contract`);
-        return axelarGatewayMultisigFactory.deploy(address);
+        return axelarGatewayMultisigFactory.connect(wallet).deploy(address);
     })
     .then((axelarGatewayMultisig) => axelarGatewayMultisig.deployed())
     .then(async ({ address }) => {
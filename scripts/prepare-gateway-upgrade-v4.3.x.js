@@ -2,23 +2,29 @@
 
 require('dotenv').config();
 
-const { printLog, printObj, confirm, getEVMAddresses, parseWei, getTxOptions, pubkeysToAddresses } = require('./utils');
+const { printLog, printObj, confirm, parseWei, getTxOptions, pubkeysToAddresses } = require('./utils');
+const { getProvider } = require('./dry-run');
+const { getKeySource } = require('./key-source');
+const { getGovernanceContract, getProposalBundle } = require('./governance-proposal');
+const { getSigner, getSignerType } = require('./signer');
 const { ethers } = require('hardhat');
 const {
     getContractFactory,
     getContractAt,
-    Wallet,
-    providers: { JsonRpcProvider },
     utils: { defaultAbiCoder, arrayify, keccak256 },
 } = ethers;
 
 // these environment variables should be defined in an '.env' file
 const skipConfirm = process.env.SKIP_CONFIRM;
 const prefix = process.env.PREFIX;
+const lcd = process.env.AXELAR_LCD;
+const keysFile = process.env.KEYS_FILE;
 const chain = process.env.CHAIN;
 const url = process.env.URL;
-const privKey = process.env.PRIVATE_KEY;
+const signerType = getSignerType();
 const proxyAddress = process.env.PROXY_ADDRESS;
+const governanceAddress = process.env.GOVERNANCE_ADDRESS;
+const proposalEta = process.env.PROPOSAL_ETA ? Number(process.env.PROPOSAL_ETA) : 0;
 
 const adminPubkeys = process.env.ADMIN_PUBKEYS;
 const adminAddresses = process.env.ADMIN_ADDRESSES;
@@ -32,10 +38,14 @@ const gasLimit = process.env.GAS_LIMIT ? Number(process.env.GAS_LIMIT) : Number(
 confirm(
     {
         PREFIX: prefix || null,
+        AXELAR_LCD: lcd || null,
+        KEYS_FILE: keysFile || null,
         CHAIN: chain || null,
         URL: url || null,
-        PRIVATE_KEY: privKey ? '*****REDACTED*****' : null,
+        SIGNER: signerType || null,
         PROXY_ADDRESS: proxyAddress || null,
+        GOVERNANCE_ADDRESS: governanceAddress || null,
+        PROPOSAL_ETA: proposalEta || null,
         ADMIN_THRESHOLD: adminThreshold || null,
         ADMIN_PUBKEYS: adminPubkeys || null,
         ADMIN_ADDRESSES: adminAddresses || null,
@@ -45,22 +55,24 @@ confirm(
         GAS_LIMIT: gasLimit || null,
         SKIP_CONFIRM: skipConfirm || null,
     },
-    prefix && chain && url && privKey && proxyAddress && adminThreshold && (adminPubkeys || adminAddresses),
+    (prefix || lcd || keysFile) && chain && url && signerType && proxyAddress && adminThreshold && (adminPubkeys || adminAddresses),
 );
 
-const provider = new JsonRpcProvider(url);
-const wallet = new Wallet(privKey, provider);
-
-printLog('retrieving addresses');
-const { addresses, weights, threshold } = getEVMAddresses(prefix, chain);
-printObj({ operators: addresses, weights, threshold });
 const admins = adminAddresses ? JSON.parse(adminAddresses) : pubkeysToAddresses(JSON.parse(adminPubkeys));
 printObj({ admins });
 
-const paramsAuth = [defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [addresses, weights, threshold])];
 const paramsUpgrade = defaultAbiCoder.encode(['address[]', 'uint8', 'bytes'], [admins, adminThreshold, '0x']);
 
 (async () => {
+    printLog('retrieving addresses');
+    const { addresses, weights, threshold } = await getKeySource({ prefix, lcd, 'keys-file': keysFile }).getEVMAddresses(chain);
+    printObj({ operators: addresses, weights, threshold });
+
+    const paramsAuth = [defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [addresses, weights, threshold])];
+
+    const provider = await getProvider(url);
+    const wallet = await getSigner({}, provider);
+
     printLog('fetching fee data');
     const feeData = await provider.getFeeData();
     printObj({ feeData });
@@ -104,13 +116,29 @@ const paramsUpgrade = defaultAbiCoder.encode(['address[]', 'uint8', 'bytes'], [a
         },
     });
 
-    const proxy = await getContractAt('IAxelarGateway', proxyAddress, wallet);
-    const tx_req = await proxy.populateTransaction.upgrade(
+    const proxy = await getContractAt('AxelarGateway', proxyAddress, wallet);
+    const txReq = await proxy.populateTransaction.upgrade(
         gatewayImplementation.address,
         newImplementationCodeHash,
         arrayify(paramsUpgrade),
     );
-    printObj({ upgrade_tx_data: tx_req.data });
+    printObj({ upgrade_tx_data: txReq.data });
+
+    // gateways before governance was introduced are upgraded by their admins instead
+    const governance = governanceAddress || (await proxy.governance().catch(() => null));
+
+    if (!governance) {
+        printLog(`gateway ${proxyAddress} has no governance, the upgrade has to be submitted by the admins`);
+        return;
+    }
+
+    const proposal = await getProposalBundle(getGovernanceContract(governance, provider), {
+        destinationChain: chain,
+        target: proxyAddress,
+        calldata: txReq.data,
+        eta: proposalEta,
+    });
+    printObj({ governance_proposal: proposal });
 })().catch((err) => {
     console.error(err);
 });
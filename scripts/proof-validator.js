@@ -0,0 +1,188 @@
+'use strict';
+
+const {
+    Contract,
+    BigNumber,
+    utils: { defaultAbiCoder, keccak256, hexDataLength, hexDataSlice, recoverAddress },
+} = require('ethers');
+
+const IAxelarAuthWeighted = require('../artifacts/contracts/interfaces/IAxelarAuthWeighted.sol/IAxelarAuthWeighted.json');
+const { PROOF_TYPES, getBatchMessageHash, decodeCommandBatch } = require('./execute-decoder');
+const { queryFilterPaged } = require('./utils');
+
+// matches AxelarAuthWeighted.OLD_KEY_RETENTION
+const OLD_KEY_RETENTION = 16;
+
+const HALF_CURVE_ORDER = BigNumber.from('0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0');
+
+const getOperatorsHash = (operators, weights, threshold) =>
+    keccak256(defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [operators, weights, threshold]));
+
+const getAuthContract = (address, provider) => new Contract(address, IAxelarAuthWeighted.abi, provider);
+
+// replays OperatorshipTransferred events, the last event always belongs to the current epoch
+async function getOperatorEpochs(auth, fromBlock = 0, toBlock = 'latest') {
+    const currentEpoch = (await auth.currentEpoch({ blockTag: toBlock })).toNumber();
+    const events = await queryFilterPaged(auth, auth.filters.OperatorshipTransferred(), fromBlock, toBlock);
+    const firstEpoch = currentEpoch - events.length + 1;
+
+    return events.map(({ args: { newOperators, newWeights, newThreshold }, blockNumber, transactionHash }, i) => ({
+        epoch: firstEpoch + i,
+        operators: newOperators,
+        weights: newWeights.map((weight) => weight.toString()),
+        threshold: newThreshold.toString(),
+        operatorsHash: getOperatorsHash(newOperators, newWeights, newThreshold),
+        blockNumber,
+        transactionHash,
+    }));
+}
+
+// mirrors ECDSA.recover, returning the custom error the contract would revert with instead of throwing
+const recoverSigner = (messageHash, signature) => {
+    if (hexDataLength(signature) !== 65) return { error: 'InvalidSignatureLength' };
+    if (BigNumber.from(hexDataSlice(signature, 32, 64)).gt(HALF_CURVE_ORDER)) return { error: 'InvalidS' };
+
+    const v = BigNumber.from(hexDataSlice(signature, 64, 65)).toNumber();
+    if (v !== 27 && v !== 28) return { error: 'InvalidV' };
+
+    try {
+        return { signer: recoverAddress(messageHash, signature) };
+    } catch (err) {
+        return { error: 'InvalidSignature' };
+    }
+};
+
+// mirrors AxelarAuthWeighted._validateSignatures and explains why a signature set would be rejected
+const checkSignatures = (messageHash, operators, weights, threshold, signatures) => {
+    const errors = [];
+    const signers = [];
+    let operatorIndex = 0;
+    let weight = BigNumber.from(0);
+
+    for (let i = 0; i < signatures.length; ++i) {
+        const { signer, error } = recoverSigner(messageHash, signatures[i]);
+
+        if (error) {
+            errors.push({ error, reason: `signature ${i} can't be recovered` });
+            return { errors, signers, signedWeight: weight.toString() };
+        }
+
+        signers.push(signer);
+
+        while (operatorIndex < operators.length && signer !== operators[operatorIndex]) ++operatorIndex;
+
+        if (operatorIndex === operators.length) {
+            const index = operators.indexOf(signer);
+            let reason;
+
+            if (index === -1) {
+                reason = `signer ${signer} of signature ${i} is not an operator`;
+            } else if (signers.indexOf(signer) !== signers.length - 1) {
+                reason = `signer ${signer} of signature ${i} is a duplicate`;
+            } else {
+                reason = `signature ${i} by ${signer} is out of order, signatures must be sorted by signer address`;
+            }
+
+            errors.push({ error: 'MalformedSigners', reason });
+            return { errors, signers, signedWeight: weight.toString() };
+        }
+
+        weight = weight.add(weights[operatorIndex]);
+
+        if (weight.gte(threshold)) {
+            return { errors, signers, signedWeight: weight.toString() };
+        }
+
+        ++operatorIndex;
+    }
+
+    errors.push({ error: 'LowSignaturesWeight', reason: `signed weight ${weight} is below the threshold ${threshold}` });
+
+    return { errors, signers, signedWeight: weight.toString() };
+};
+
+async function validateProof(auth, messageHash, proof, epochs) {
+    const errors = [];
+    const warnings = [];
+    let decoded;
+
+    try {
+        decoded = defaultAbiCoder.decode(PROOF_TYPES, proof);
+    } catch (err) {
+        return { valid: false, errors: [{ error: 'MalformedProof', reason: err.reason || err.message }], warnings };
+    }
+
+    const [operators, weights, threshold, signatures] = decoded;
+    const operatorsHash = getOperatorsHash(operators, weights, threshold);
+    const currentEpoch = (await auth.currentEpoch()).toNumber();
+    const operatorsEpoch = (await auth.epochForHash(operatorsHash)).toNumber();
+
+    if (operatorsEpoch === 0) {
+        const matchingOperators = (epochs || []).filter(
+            (epoch) => epoch.operators.length === operators.length && epoch.operators.every((operator, i) => operator === operators[i]),
+        );
+        const hint = matchingOperators.length
+            ? `, the same operators are registered for epoch ${matchingOperators
+                  .map(({ epoch }) => epoch)
+                  .join(', ')} with different weights or threshold`
+            : '';
+
+        errors.push({ error: 'InvalidOperators', reason: `operators hash ${operatorsHash} is unknown to the auth module${hint}` });
+    } else if (currentEpoch - operatorsEpoch >= OLD_KEY_RETENTION) {
+        errors.push({
+            error: 'InvalidOperators',
+            reason: `operators of epoch ${operatorsEpoch} expired, only the last ${OLD_KEY_RETENTION} epochs up to ${currentEpoch} are accepted`,
+        });
+    }
+
+    const { errors: signatureErrors, signers, signedWeight } = checkSignatures(messageHash, operators, weights, threshold, signatures);
+    errors.push(...signatureErrors);
+
+    if (operatorsEpoch !== 0 && operatorsEpoch !== currentEpoch) {
+        warnings.push(`operators of epoch ${operatorsEpoch} are not the current operators of epoch ${currentEpoch}`);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        operatorsHash,
+        operatorsEpoch,
+        currentEpoch,
+        isCurrentOperators: operatorsEpoch !== 0 && operatorsEpoch === currentEpoch,
+        signers,
+        signedWeight,
+    };
+}
+
+async function validateExecuteInput(auth, input, epochs) {
+    const [data, proof] = defaultAbiCoder.decode(['bytes', 'bytes'], input);
+    const { chainId, commands } = decodeCommandBatch(data);
+    const result = await validateProof(auth, getBatchMessageHash(data), proof, epochs);
+    const network = await auth.provider.getNetwork();
+
+    if (chainId !== network.chainId.toString()) {
+        result.valid = false;
+        result.errors.push({ error: 'InvalidChainId', reason: `batch is for chain ID ${chainId}, the gateway is on ${network.chainId}` });
+    }
+
+    // the gateway only lets current operators transfer operatorship, other commands still execute
+    if (result.valid && !result.isCurrentOperators) {
+        commands
+            .filter(({ name }) => name === 'transferOperatorship')
+            .forEach(({ commandID }) => result.warnings.push(`transferOperatorship command ${commandID} will be skipped`));
+    }
+
+    return result;
+}
+
+module.exports = {
+    OLD_KEY_RETENTION,
+    getOperatorsHash,
+    getAuthContract,
+    getOperatorEpochs,
+    recoverSigner,
+    checkSignatures,
+    validateProof,
+    validateExecuteInput,
+};
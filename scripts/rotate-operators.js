@@ -0,0 +1,205 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const readlineSync = require('readline-sync');
+const {
+    Contract,
+    BigNumber,
+    providers: { JsonRpcProvider },
+    constants: { AddressZero },
+} = require('ethers');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const { printLog, printObj, writeJSON, pubkeysToAddresses, parseList, getInfoPath, findChain } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { CommandBatch, EXECUTE_GAS_LIMIT, getExecuteCalldata, sortOperators } = require('./command-batch');
+const { getSignedExecuteInput, loadOperatorWallets } = require('./batch-signer');
+const { getAuthContract, getOperatorEpochs, getOperatorsHash } = require('./proof-validator');
+const { SIGNER_OPTIONS, UNSIGNED_OPTION, getSigner, getSignerType } = require('./signer');
+
+// mirrors AxelarAuthWeighted._transferOperatorship, plus non-zero weights which the contract doesn't enforce
+function getOperatorSetErrors({ operators, weights, threshold }) {
+    const errors = [];
+    const addresses = operators.map((operator) => BigNumber.from(operator));
+
+    if (
+        operators.length === 0 ||
+        operators.includes(AddressZero) ||
+        addresses.some((address, i) => i > 0 && addresses[i - 1].gte(address))
+    ) {
+        errors.push('InvalidOperators: operators must be non-zero, sorted ascending and without duplicates');
+    }
+
+    if (weights.length !== operators.length) {
+        errors.push(`InvalidWeights: ${weights.length} weights for ${operators.length} operators`);
+    }
+
+    if (weights.some((weight) => BigNumber.from(weight).isZero())) {
+        errors.push('InvalidWeights: operator weights must be non-zero');
+    }
+
+    const totalWeight = weights.reduce((total, weight) => total.add(weight), BigNumber.from(0));
+
+    if (BigNumber.from(threshold).isZero() || totalWeight.lt(threshold)) {
+        errors.push(`InvalidThreshold: threshold ${threshold} must be non-zero and at most the total weight ${totalWeight}`);
+    }
+
+    return errors;
+}
+
+async function validateOperatorSet(auth, operatorSet) {
+    const errors = getOperatorSetErrors(operatorSet);
+    const epoch = await auth.epochForHash(getOperatorsHash(operatorSet.operators, operatorSet.weights, operatorSet.threshold));
+
+    if (!epoch.isZero()) {
+        errors.push(`DuplicateOperators: the operator set was already used in epoch ${epoch}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid operator set:\n${errors.join('\n')}`);
+    }
+}
+
+// the last OperatorshipTransferred event holds the current set, its hash is checked against the auth module
+async function getCurrentOperatorSet(auth, fromBlock) {
+    const currentEpoch = (await auth.currentEpoch()).toNumber();
+    const current = (await getOperatorEpochs(auth, fromBlock)).pop();
+
+    if (!current || current.epoch !== currentEpoch || current.operatorsHash !== (await auth.hashForEpoch(currentEpoch))) {
+        throw new Error(`Operators of epoch ${currentEpoch} not found since block ${fromBlock}`);
+    }
+
+    return current;
+}
+
+// builds the transferOperatorship batch for the gateway and signs it with the keys of the current operators
+async function getRotation(gateway, newOperatorSet, signers, { fromBlock = 0 } = {}) {
+    const auth = getAuthContract(await gateway.authModule(), gateway.provider);
+    const { operators, weights } = sortOperators(newOperatorSet.operators, newOperatorSet.weights.map(String));
+    const newSet = { operators, weights, threshold: String(newOperatorSet.threshold) };
+
+    await validateOperatorSet(auth, newSet);
+
+    const current = await getCurrentOperatorSet(auth, fromBlock);
+    const { chainId } = await gateway.provider.getNetwork();
+    const batch = new CommandBatch(chainId).transferOperatorship(newSet.operators, newSet.weights, newSet.threshold);
+    const input = await getSignedExecuteInput(batch.encode(), current, signers);
+
+    return {
+        currentEpoch: current.epoch,
+        current: { operators: current.operators, weights: current.weights, threshold: current.threshold },
+        next: { ...newSet, operatorsHash: getOperatorsHash(newSet.operators, newSet.weights, newSet.threshold) },
+        batch: batch.toJSON(),
+        input,
+        calldata: getExecuteCalldata(input),
+    };
+}
+
+async function submitRotation(gateway, rotation, options = {}) {
+    const auth = getAuthContract(await gateway.authModule(), gateway.provider);
+    const tx = await gateway.execute(rotation.input, { gasLimit: EXECUTE_GAS_LIMIT, ...options });
+
+    // an unsigned export isn't mined yet, so there is nothing to check
+    if (tx.exported) return { exported: tx.exported };
+
+    const receipt = await tx.wait();
+
+    const epoch = (await auth.currentEpoch()).toNumber();
+
+    if ((await auth.hashForEpoch(epoch)) !== rotation.next.operatorsHash) {
+        throw new Error(`Operatorship was not transferred in ${receipt.transactionHash}, the current epoch is still ${epoch}`);
+    }
+
+    return { epoch, transactionHash: receipt.transactionHash };
+}
+
+async function main(values) {
+    const chain = findChain(loadChainInfo(getInfoPath(values.env)), values.chain);
+    const provider = new JsonRpcProvider(values.url || chain.rpc);
+    const gateway = new Contract(values.gateway || chain.AxelarGateway?.address, AxelarGateway.abi, provider);
+
+    const operators = values.pubkeys ? pubkeysToAddresses(parseList(values.pubkeys)) : parseList(values.operators);
+    const weights = parseList(values.weights) || operators.map(() => '1');
+    const signers = await loadOperatorWallets(values.keys, { password: values.password, derivationPath: values.path });
+
+    const rotation = await getRotation(gateway, { operators, weights, threshold: values.threshold }, signers, {
+        fromBlock: Number(values['from-block']),
+    });
+
+    printObj({ current: rotation.current, next: rotation.next });
+
+    if (values.output) {
+        writeJSON(rotation, values.output);
+        printLog(`signed rotation batch written to ${values.output}`);
+        return;
+    }
+
+    if (!values.yes && readlineSync.question(`Transfer operatorship on ${chain.name}? (y/n) `) !== 'y') {
+        printLog('execution cancelled');
+        return;
+    }
+
+    const result = await submitRotation(gateway.connect(await getSigner(values, provider)), rotation, { ...chain.gasOptions });
+
+    if (result.exported) {
+        printLog(`unsigned operatorship transfer written to ${result.exported}`);
+        return;
+    }
+
+    printLog(`operatorship transferred to epoch ${result.epoch} in ${result.transactionHash}`);
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chain: { type: 'string' },
+            url: { type: 'string' },
+            gateway: { type: 'string' },
+            operators: { type: 'string' },
+            pubkeys: { type: 'string' },
+            weights: { type: 'string' },
+            threshold: { type: 'string' },
+            keys: { type: 'string' },
+            password: { type: 'string', default: process.env.KEYSTORE_PASSWORD },
+            path: { type: 'string' },
+            'from-block': { type: 'string', default: '0' },
+            output: { type: 'string' },
+            yes: { type: 'boolean', default: false },
+            ...SIGNER_OPTIONS,
+            ...UNSIGNED_OPTION,
+        },
+    });
+
+    if (
+        !values.env ||
+        !values.chain ||
+        !(values.operators || values.pubkeys) ||
+        !values.threshold ||
+        !values.keys ||
+        (!values.output && !getSignerType(values))
+    ) {
+        console.error(
+            'Usage: [PRIVATE_KEY=<key> | MNEMONIC=<phrase>] node scripts/rotate-operators.js --env <env> --chain <chain> ' +
+                '(--operators <addr,...> | --pubkeys <pubkey,...>) [--weights <n,...>] --threshold <n> ' +
+                '--keys <dir with current operator keys> [--password <pw>] [--from-block <n>] [--output <file>] ' +
+                '[--keystore <file> | --signer-url <url> | --unsigned <file> --signer-address <addr>] [--yes]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getOperatorSetErrors,
+    validateOperatorSet,
+    getCurrentOperatorSet,
+    getRotation,
+    submitRotation,
+};
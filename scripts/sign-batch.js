@@ -0,0 +1,82 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const { readFileSync } = require('fs');
+const { sortBy } = require('lodash');
+
+const { printLog, printObj, writeJSON, parseList } = require('./utils');
+const { CommandBatch, getExecuteCalldata, sortOperators } = require('./command-batch');
+const { getSignedExecuteInput, loadOperatorWallets } = require('./batch-signer');
+
+async function signBatchFile({ batchFile, keysDir, operators, weights, threshold, password, derivationPath }) {
+    const batch = CommandBatch.fromJSON(JSON.parse(readFileSync(batchFile, 'utf8')));
+
+    printLog(`loading operator keys from ${keysDir}`);
+    const wallets = await loadOperatorWallets(keysDir, { password, derivationPath });
+
+    // without an explicit operator set, the loaded keys are the operators and weights follow their sorted order
+    operators = operators || sortBy(wallets, (wallet) => wallet.address.toLowerCase()).map((wallet) => wallet.address);
+    weights = weights || operators.map(() => 1);
+
+    const operatorSet = { ...sortOperators(operators, weights), threshold };
+    const input = await getSignedExecuteInput(batch.encode(), operatorSet, wallets);
+
+    return {
+        ...operatorSet,
+        signers: sortBy(wallets, (wallet) => wallet.address.toLowerCase()).map((wallet) => wallet.address),
+        batch: batch.toJSON(),
+        input,
+        calldata: getExecuteCalldata(input),
+    };
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            batch: { type: 'string' },
+            keys: { type: 'string' },
+            operators: { type: 'string' },
+            weights: { type: 'string' },
+            threshold: { type: 'string' },
+            password: { type: 'string', default: process.env.KEYSTORE_PASSWORD },
+            path: { type: 'string' },
+            output: { type: 'string' },
+        },
+    });
+
+    if (!values.batch || !values.keys || !values.threshold) {
+        console.error(
+            'Usage: node scripts/sign-batch.js --batch <batch.json> --keys <dir> --threshold <n> ' +
+                '[--operators <addr,...>] [--weights <n,...>] [--password <pw>] [--path <derivation path>] [--output <file>]',
+        );
+        process.exit(1);
+    }
+
+    signBatchFile({
+        batchFile: values.batch,
+        keysDir: values.keys,
+        operators: parseList(values.operators),
+        weights: parseList(values.weights),
+        threshold: values.threshold,
+        password: values.password,
+        derivationPath: values.path,
+    })
+        .then((result) => {
+            if (values.output) {
+                writeJSON(result, values.output);
+                printLog(`signed execute input written to ${values.output}`);
+            }
+
+            printObj(result);
+        })
+        .catch((err) => {
+            console.error(err);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    signBatchFile,
+};
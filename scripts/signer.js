@@ -0,0 +1,307 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const { existsSync, readFileSync } = require('fs');
+const readlineSync = require('readline-sync');
+const {
+    Signer,
+    Wallet,
+    providers: { JsonRpcProvider },
+    utils: {
+        defineReadOnly,
+        fetchJson,
+        getAddress,
+        hexlify,
+        hexValue,
+        parseTransaction,
+        resolveProperties,
+        serializeTransaction,
+        toUtf8Bytes,
+    },
+} = require('ethers');
+
+const { printLog, writeJSON } = require('./utils');
+
+// parseArgs options of the scripts that send transactions, each falls back to an environment variable, see getSigner
+const SIGNER_OPTIONS = {
+    keystore: { type: 'string' },
+    'derivation-path': { type: 'string' },
+    'signer-url': { type: 'string' },
+    'signer-address': { type: 'string' },
+};
+
+// only for scripts whose transactions don't depend on the outcome of the previous ones, so it has no environment variable
+const UNSIGNED_OPTION = {
+    unsigned: { type: 'string' },
+};
+
+const TRANSACTION_KEYS = [
+    'type',
+    'chainId',
+    'nonce',
+    'to',
+    'value',
+    'data',
+    'gasLimit',
+    'gasPrice',
+    'maxFeePerGas',
+    'maxPriorityFeePerGas',
+    'accessList',
+];
+
+const getSignerConfig = ({
+    keystore = process.env.KEYSTORE,
+    'derivation-path': derivationPath = process.env.DERIVATION_PATH,
+    'signer-url': url = process.env.SIGNER_URL,
+    'signer-address': address = process.env.SIGNER_ADDRESS,
+    unsigned,
+} = {}) => ({ keystore, derivationPath, url, address, unsigned });
+
+async function request(url, method, params = []) {
+    const { result, error } = await fetchJson(url, JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }));
+
+    if (error) {
+        throw new Error(`${method} failed on ${url}: ${error.message}`);
+    }
+
+    return result;
+}
+
+// signs with eth_signTransaction over JSON-RPC, e.g. through clef, so the key never leaves the remote signer
+class RemoteSigner extends Signer {
+    constructor(url, address, provider) {
+        super();
+        defineReadOnly(this, 'url', url);
+        defineReadOnly(this, 'address', getAddress(address));
+        defineReadOnly(this, 'provider', provider);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    signMessage(message) {
+        const data = typeof message === 'string' ? toUtf8Bytes(message) : message;
+
+        return request(this.url, 'personal_sign', [hexlify(data), this.address.toLowerCase()]);
+    }
+
+    async signTransaction(transaction) {
+        const tx = await resolveProperties(transaction);
+
+        if (tx.from && getAddress(tx.from) !== this.address) {
+            throw new Error(`Transaction from ${tx.from} can't be signed by ${this.address}`);
+        }
+
+        const params = JsonRpcProvider.hexlifyTransaction({ ...tx, from: this.address }, { from: true });
+        const result = await request(this.url, 'eth_signTransaction', [tx.chainId ? { ...params, chainId: hexValue(tx.chainId) } : params]);
+
+        // clef and geth return { raw, tx }, other signers only the raw transaction
+        return typeof result === 'string' ? result : result.raw;
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.url, this.address, provider);
+    }
+}
+
+const readExported = (path) => (existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : []);
+
+// appends the populated transactions unsigned to a file instead of sending them, to be signed offline with the sign command
+// and sent with the broadcast command, the receipts only have the export path since nothing is mined
+class UnsignedSigner extends Signer {
+    constructor(address, path, provider) {
+        super();
+        defineReadOnly(this, 'address', getAddress(address));
+        defineReadOnly(this, 'path', path);
+        defineReadOnly(this, 'provider', provider);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    async signMessage() {
+        throw new Error('Messages cannot be exported unsigned');
+    }
+
+    async signTransaction() {
+        throw new Error('Transactions are exported unsigned, sign them with the sign command');
+    }
+
+    // continues after the nonces of the transactions that were exported but not broadcast yet
+    async getNextNonce(chainId) {
+        const exported = readExported(this.path).filter((tx) => tx.chainId === chainId && tx.from === this.address);
+
+        return Math.max(await this.getTransactionCount('pending'), ...exported.map(({ nonce }) => nonce + 1));
+    }
+
+    async sendTransaction(transaction) {
+        this._checkProvider('sendTransaction');
+
+        const { chainId } = await this.provider.getNetwork();
+        const { from, ...tx } = await this.populateTransaction({
+            ...transaction,
+            nonce: transaction.nonce ?? (await this.getNextNonce(chainId)),
+        });
+        const unsigned = serializeTransaction(tx);
+        const nonce = Number(tx.nonce);
+
+        writeJSON([...readExported(this.path), { chainId, from, nonce, to: tx.to, data: tx.data, unsigned }], this.path);
+        printLog(`exported transaction ${nonce} from ${from} on chain ${chainId} to ${this.path}`);
+
+        // exported isn't a receipt, so callers check for it instead of waiting for one that never comes
+        return {
+            ...tx,
+            from,
+            confirmations: 0,
+            exported: this.path,
+            wait: async () => {
+                throw new Error(
+                    `Transaction ${nonce} from ${from} was exported unsigned to ${this.path}, it has no receipt until it is broadcast`,
+                );
+            },
+        };
+    }
+
+    connect(provider) {
+        return new UnsignedSigner(this.address, this.path, provider);
+    }
+}
+
+// which signer the options and environment configure, undefined when none is
+function getSignerType(options) {
+    const { keystore, url, unsigned } = getSignerConfig(options);
+    const configured = [keystore && 'keystore', url && 'remote', unsigned && 'unsigned'].filter(Boolean);
+
+    if (configured.length > 1) {
+        throw new Error('Only one of a keystore, a remote signer url or an unsigned export can be used as the signer');
+    }
+
+    if (configured.length > 0) return configured[0];
+    if (process.env.MNEMONIC) return 'mnemonic';
+    if (process.env.PRIVATE_KEY) return 'private key';
+
+    return undefined;
+}
+
+const getKeystorePassword = (path) =>
+    process.env.KEYSTORE_PASSWORD ?? readlineSync.question(`Password for ${path}: `, { hideEchoBack: true, mask: '' });
+
+// --keystore (KEYSTORE) with KEYSTORE_PASSWORD or a prompt, MNEMONIC with --derivation-path (DERIVATION_PATH),
+// --signer-url (SIGNER_URL) with an optional --signer-address (SIGNER_ADDRESS), --unsigned with --signer-address,
+// or PRIVATE_KEY, connected to the provider when one is given
+async function getSigner(options, provider) {
+    const { keystore, derivationPath, url, address, unsigned } = getSignerConfig(options);
+    const type = getSignerType(options);
+
+    if (type === 'remote') {
+        return new RemoteSigner(url, address || (await request(url, 'eth_accounts'))[0], provider);
+    }
+
+    if (type === 'unsigned') {
+        if (!address) throw new Error('An unsigned export needs the --signer-address to send from');
+
+        return new UnsignedSigner(address, unsigned, provider);
+    }
+
+    let wallet;
+
+    if (type === 'keystore') {
+        wallet = await Wallet.fromEncryptedJson(readFileSync(keystore, 'utf8'), getKeystorePassword(keystore));
+    } else if (type === 'mnemonic') {
+        wallet = Wallet.fromMnemonic(process.env.MNEMONIC.trim(), derivationPath);
+    } else if (type === 'private key') {
+        wallet = new Wallet(process.env.PRIVATE_KEY);
+    } else {
+        throw new Error('No signer configured, use --keystore, --signer-url, --unsigned, MNEMONIC or PRIVATE_KEY');
+    }
+
+    return provider ? wallet.connect(provider) : wallet;
+}
+
+// signs the transactions of an unsigned export, the signer must be the sender of every one of them
+async function signExported(exported, signer) {
+    const address = await signer.getAddress();
+    const signed = [];
+
+    for (const { unsigned, ...tx } of exported) {
+        if (tx.from !== address) {
+            throw new Error(`Transaction ${tx.nonce} on chain ${tx.chainId} is from ${tx.from}, not the signer ${address}`);
+        }
+
+        const parsed = parseTransaction(unsigned);
+        const fields = Object.fromEntries(TRANSACTION_KEYS.filter((key) => parsed[key] != null).map((key) => [key, parsed[key]]));
+
+        signed.push({ ...tx, unsigned, signed: await signer.signTransaction(fields) });
+    }
+
+    return signed;
+}
+
+// sends the signed transactions of the provider's chain in order, returns their hashes
+async function broadcastSigned(signed, provider) {
+    const { chainId } = await provider.getNetwork();
+    const hashes = [];
+
+    for (const tx of signed.filter((tx) => tx.chainId === chainId)) {
+        const { transactionHash } = await provider.sendTransaction(tx.signed).then((response) => response.wait());
+
+        printLog(`broadcast transaction ${tx.nonce} from ${tx.from} in ${transactionHash}`);
+        hashes.push(transactionHash);
+    }
+
+    return hashes;
+}
+
+async function main(values, [command, input, output]) {
+    if (command === 'sign') {
+        const signed = await signExported(JSON.parse(readFileSync(input, 'utf8')), await getSigner(values));
+
+        writeJSON(signed, output);
+        printLog(`${signed.length} signed transaction(s) written to ${output}`);
+        return;
+    }
+
+    const hashes = await broadcastSigned(JSON.parse(readFileSync(input, 'utf8')), new JsonRpcProvider(values.url));
+
+    printLog(`broadcast ${hashes.length} transaction(s)`);
+}
+
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        options: {
+            ...SIGNER_OPTIONS,
+            url: { type: 'string' },
+        },
+        allowPositionals: true,
+    });
+
+    const [command, input, output] = positionals;
+
+    if (!((command === 'sign' && input && output) || (command === 'broadcast' && input && values.url))) {
+        console.error(
+            'Usage: node scripts/signer.js sign <unsigned json> <signed json> [--keystore <file> | --signer-url <url>] [--derivation-path <path>]\n' +
+                '       node scripts/signer.js broadcast <signed json> --url <rpc url>',
+        );
+        process.exit(1);
+    }
+
+    main(values, positionals).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    SIGNER_OPTIONS,
+    UNSIGNED_OPTION,
+    RemoteSigner,
+    UnsignedSigner,
+    getSignerType,
+    getSigner,
+    signExported,
+    broadcastSigned,
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+} = require('ethers');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const { printLog, writeJSON, getInfoPath } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { getTokens } = require('./gateway-snapshot');
+
+const TOKEN_ABI = [
+    'function name() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function cap() view returns (uint256)',
+];
+
+// external tokens aren't required to implement the full metadata, cap in particular
+const optional = (promise) => promise.catch(() => undefined);
+
+async function getChainTokens(provider, gatewayAddress, { fromBlock = 0 } = {}) {
+    const { number: blockTag } = await provider.getBlock('latest');
+    const gateway = new Contract(gatewayAddress, AxelarGateway.abi, provider);
+    const tokens = await getTokens(gateway, fromBlock, blockTag);
+
+    return Promise.all(
+        tokens.map(async ({ symbol, address, type, mintLimit }) => {
+            const token = new Contract(address, TOKEN_ABI, provider);
+            const cap = await optional(token.cap({ blockTag }));
+
+            return {
+                symbol,
+                address,
+                name: await optional(token.name({ blockTag })),
+                decimals: await optional(token.decimals({ blockTag })),
+                cap: cap && cap.toString(),
+                type,
+                mintLimit,
+            };
+        }),
+    );
+}
+
+// tokensByChain maps chains to their gateway tokens, or to an error for chains that couldn't be read
+function getRegistryReport(tokensByChain) {
+    const chains = Object.keys(tokensByChain).filter((chain) => !tokensByChain[chain].error);
+    const errors = Object.fromEntries(
+        Object.entries(tokensByChain)
+            .filter(([, tokens]) => tokens.error)
+            .map(([chain, { error }]) => [chain, error]),
+    );
+    const symbols = {};
+
+    for (const chain of chains) {
+        for (const { symbol, ...token } of tokensByChain[chain]) {
+            symbols[symbol] = symbols[symbol] || { chains: {} };
+            symbols[symbol].chains[chain] = token;
+        }
+    }
+
+    for (const entry of Object.values(symbols)) {
+        const missingOn = chains.filter((chain) => !entry.chains[chain]);
+        const decimals = [...new Set(Object.values(entry.chains).map((token) => token.decimals))];
+
+        entry.missingOn = missingOn;
+        entry.issues = [];
+
+        if (missingOn.length > 0) {
+            entry.issues.push(`missing on ${missingOn.join(', ')}`);
+        }
+
+        if (decimals.length > 1) {
+            entry.issues.push(
+                `decimals mismatch: ${Object.entries(entry.chains)
+                    .map(([chain, token]) => `${chain} ${token.decimals}`)
+                    .join(', ')}`,
+            );
+        }
+    }
+
+    return {
+        chains,
+        errors,
+        symbols: Object.fromEntries(
+            Object.keys(symbols)
+                .sort()
+                .map((symbol) => [symbol, symbols[symbol]]),
+        ),
+    };
+}
+
+async function main(values) {
+    const names = values.chains && values.chains.split(',').map((name) => name.toLowerCase());
+    const chains = loadChainInfo(getInfoPath(values.env)).filter(
+        (chain) => (chain.AxelarGateway?.address || chain.gateway) && (!names || names.includes(chain.id.toLowerCase())),
+    );
+    const tokensByChain = {};
+
+    for (const chain of chains) {
+        printLog(`reading the tokens of ${chain.name}`);
+
+        tokensByChain[chain.id] = await getChainTokens(new JsonRpcProvider(chain.rpc), chain.AxelarGateway?.address || chain.gateway, {
+            fromBlock: Number(values['from-block']),
+        }).catch((err) => ({ error: err.message }));
+    }
+
+    const report = getRegistryReport(tokensByChain);
+
+    console.table(
+        Object.entries(report.symbols).flatMap(([symbol, { chains }]) =>
+            Object.entries(chains).map(([chain, token]) => ({ symbol, chain, ...token })),
+        ),
+    );
+
+    Object.entries(report.errors).forEach(([chain, error]) => printLog(`failed to read ${chain}: ${error}`));
+    Object.entries(report.symbols)
+        .filter(([, { issues }]) => issues.length > 0)
+        .forEach(([symbol, { issues }]) => printLog(`${symbol}: ${issues.join('; ')}`));
+
+    if (values.output) {
+        writeJSON({ env: values.env, ...report }, values.output);
+        printLog(`report written to ${values.output}`);
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chains: { type: 'string' },
+            'from-block': { type: 'string', default: '0' },
+            output: { type: 'string' },
+        },
+    });
+
+    if (!values.env) {
+        console.error('Usage: node scripts/token-registry.js --env <env> [--chains <chain,...>] [--from-block <n>] [--output <file>]');
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getChainTokens,
+    getRegistryReport,
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const { readFileSync } = require('fs');
+const {
+    Contract,
+    ContractFactory,
+    Wallet,
+    constants: { HashZero },
+    utils: { defaultAbiCoder, hexValue, keccak256, parseEther, toUtf8Bytes },
+} = require('ethers');
+const { getBytecodeHash } = require('@axelar-network/axelar-chains-config');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const { printLog, printObj, getInfoPath, findChain, queryFilterPaged } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { CommandBatch, EXECUTE_GAS_LIMIT, sortOperators } = require('./command-batch');
+const { getSignedExecuteInput } = require('./batch-signer');
+const { forkNetwork } = require('./dry-run');
+
+const AUTH_ABI = ['function transferOperatorship(bytes params)'];
+
+const TEST_OPERATOR_COUNT = 3;
+
+async function impersonate(provider, address) {
+    await provider.send('hardhat_impersonateAccount', [address]);
+    await provider.send('hardhat_setBalance', [address, hexValue(parseEther('100'))]);
+
+    return provider.getSigner(address);
+}
+
+async function getRecentCommandIDs(gateway, fromBlock, toBlock, limit) {
+    const events = await queryFilterPaged(gateway, gateway.filters.Executed(), Math.max(fromBlock, 0), toBlock);
+
+    return events.slice(-limit).map(({ args }) => args.commandId);
+}
+
+async function snapshotGateway(gateway, { symbols, commandIDs }) {
+    const tokens = {};
+    const commands = {};
+
+    for (const symbol of symbols) {
+        tokens[symbol] = {
+            address: await gateway.tokenAddresses(symbol),
+            mintLimit: (await gateway.tokenMintLimit(symbol)).toString(),
+        };
+    }
+
+    for (const commandID of commandIDs) {
+        commands[commandID] = await gateway.isCommandExecuted(commandID);
+    }
+
+    return {
+        governance: await gateway.governance(),
+        mintLimiter: await gateway.mintLimiter(),
+        authModule: await gateway.authModule(),
+        tokenDeployer: await gateway.tokenDeployer(),
+        tokens,
+        commands,
+    };
+}
+
+async function upgradeGateway(gateway, governance, { implementationJson = AxelarGateway, params = '0x' } = {}) {
+    const implementation = await new ContractFactory(implementationJson.abi, implementationJson.bytecode, governance)
+        .deploy(await gateway.authModule(), await gateway.tokenDeployer())
+        .then((d) => d.deployed());
+    const codeHash = await getBytecodeHash(implementation);
+    const receipt = await gateway
+        .connect(governance)
+        .upgrade(implementation.address, codeHash, params)
+        .then((tx) => tx.wait());
+
+    if ((await gateway.implementation()) !== implementation.address) {
+        throw new Error(`Gateway implementation is not ${implementation.address} after the upgrade`);
+    }
+
+    return {
+        implementation: implementation.address,
+        codeHash,
+        transactionHash: receipt.transactionHash,
+        gasUsed: receipt.gasUsed.toString(),
+    };
+}
+
+const check = (name, passed, detail) => ({ check: name, status: passed ? 'ok' : 'failed', detail });
+
+function compareSnapshots(before, after) {
+    const checks = ['governance', 'mintLimiter', 'authModule', 'tokenDeployer'].map((key) =>
+        check(key, before[key] === after[key], `${before[key]} -> ${after[key]}`),
+    );
+
+    for (const [symbol, token] of Object.entries(before.tokens)) {
+        const { address, mintLimit } = after.tokens[symbol];
+
+        checks.push(
+            check(`token ${symbol}`, token.address === address && token.mintLimit === mintLimit, {
+                before: token,
+                after: after.tokens[symbol],
+            }),
+        );
+    }
+
+    for (const [commandID, executed] of Object.entries(before.commands)) {
+        checks.push(
+            check(`command ${commandID}`, executed && after.commands[commandID], `executed ${executed} -> ${after.commands[commandID]}`),
+        );
+    }
+
+    return checks;
+}
+
+async function checkCallContract(gateway, signer) {
+    const payload = defaultAbiCoder.encode(['string'], ['upgrade rehearsal']);
+    const receipt = await gateway
+        .connect(signer)
+        .callContract('rehearsal', await signer.getAddress(), payload)
+        .then((tx) => tx.wait());
+    const event = receipt.events.find(({ event }) => event === 'ContractCall');
+
+    return check('callContract', event?.args.payloadHash === keccak256(payload), receipt.transactionHash);
+}
+
+// the real operators can't sign on a fork, so the auth module gets test operators through its owner, the gateway proxy
+async function checkExecute(gateway, provider) {
+    const operatorWallets = Array.from({ length: TEST_OPERATOR_COUNT }, () => Wallet.createRandom());
+    const { operators, weights } = sortOperators(
+        operatorWallets.map(({ address }) => address),
+        operatorWallets.map(() => 1),
+    );
+    const threshold = TEST_OPERATOR_COUNT - 1;
+    const proxy = await impersonate(provider, gateway.address);
+
+    await new Contract(await gateway.authModule(), AUTH_ABI, proxy)
+        .transferOperatorship(defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [operators, weights, threshold]))
+        .then((tx) => tx.wait());
+    await provider.send('hardhat_stopImpersonatingAccount', [gateway.address]);
+
+    const payloadHash = keccak256(toUtf8Bytes('upgrade rehearsal'));
+    const { chainId } = await provider.getNetwork();
+    const batch = new CommandBatch(chainId).approveContractCall('rehearsal', gateway.address, gateway.address, payloadHash, HashZero, 0);
+    const input = await getSignedExecuteInput(batch.encode(), { operators, weights, threshold }, operatorWallets.slice(0, threshold));
+    const receipt = await gateway.execute(input, { gasLimit: EXECUTE_GAS_LIMIT }).then((tx) => tx.wait());
+    const [commandID] = batch.commandIDs;
+    const approved = await gateway.isContractCallApproved(commandID, 'rehearsal', gateway.address, gateway.address, payloadHash);
+
+    return check('execute', approved && (await gateway.isCommandExecuted(commandID)), receipt.transactionHash);
+}
+
+// upgrades the gateway as its governance on a forked chain and checks that the upgraded gateway still serves the existing state
+async function rehearseUpgrade(
+    provider,
+    gatewayAddress,
+    { symbols = [], lookback = 10000, commandLimit = 20, implementationJson, params } = {},
+) {
+    const blockNumber = await provider.getBlockNumber();
+    const gateway = new Contract(gatewayAddress, AxelarGateway.abi, provider);
+    const commandIDs = await getRecentCommandIDs(gateway, blockNumber - lookback, blockNumber, commandLimit);
+
+    const before = await snapshotGateway(gateway, { symbols, commandIDs });
+    const governance = await impersonate(provider, before.governance);
+
+    printLog(`upgrading gateway ${gatewayAddress} as governance ${before.governance} at block ${blockNumber}`);
+
+    try {
+        const upgrade = await upgradeGateway(gateway, governance, { implementationJson, params });
+        const after = await snapshotGateway(gateway, { symbols, commandIDs });
+
+        const checks = [
+            ...compareSnapshots(before, after),
+            await checkCallContract(gateway, governance),
+            await checkExecute(gateway.connect(governance), provider),
+        ];
+
+        return { blockNumber, upgrade, checks, passed: checks.every(({ status }) => status === 'ok') };
+    } finally {
+        await provider.send('hardhat_stopImpersonatingAccount', [before.governance]);
+    }
+}
+
+async function main(values) {
+    let url = values.url;
+    let gateway = values.gateway;
+
+    if (values.env) {
+        const chain = findChain(loadChainInfo(getInfoPath(values.env)), values.chain);
+        url = url || chain.rpc;
+        gateway = gateway || chain.AxelarGateway?.address;
+    }
+
+    const provider = await forkNetwork(url, values.block && Number(values.block));
+    const result = await rehearseUpgrade(provider, gateway, {
+        symbols: values.symbols ? values.symbols.split(',') : [],
+        lookback: Number(values.lookback),
+        implementationJson: values.implementation && JSON.parse(readFileSync(values.implementation, 'utf8')),
+        params: values.params,
+    });
+
+    printObj(result.upgrade);
+    console.table(result.checks.map(({ check, status, detail }) => ({ check, status, detail: JSON.stringify(detail) })));
+
+    if (!result.passed) {
+        printLog('upgrade rehearsal failed');
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chain: { type: 'string' },
+            url: { type: 'string' },
+            gateway: { type: 'string' },
+            block: { type: 'string' },
+            symbols: { type: 'string' },
+            lookback: { type: 'string', default: '10000' },
+            implementation: { type: 'string' },
+            params: { type: 'string', default: '0x' },
+        },
+    });
+
+    if (!(values.env && values.chain) && !(values.url && values.gateway)) {
+        console.error(
+            'Usage: node scripts/upgrade-rehearsal.js (--env <env> --chain <chain> | --url <rpc url> --gateway <address>) ' +
+                '[--block <n>] [--symbols <symbol,...>] [--lookback <blocks>] [--implementation <artifact json>] [--params <hex>]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    snapshotGateway,
+    upgradeGateway,
+    rehearseUpgrade,
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const { readdirSync, readFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+    utils: { Interface, FormatTypes, keccak256, toUtf8Bytes, hexZeroPad },
+} = require('ethers');
+
+const { printLog, printObj } = require('./utils');
+
+// constants naming EternalStorage keys, changing or dropping one of them orphans the data stored under the old key
+const isStorageKey = (name) => name.startsWith('KEY_') || name.startsWith('PREFIX_');
+
+function findBuildInfo(artifactsDir, contractName) {
+    const buildInfoDir = join(artifactsDir, 'build-info');
+
+    if (!existsSync(buildInfoDir)) {
+        throw new Error(`No build info in ${artifactsDir}, compile the release with hardhat first`);
+    }
+
+    for (const file of readdirSync(buildInfoDir)) {
+        const buildInfo = JSON.parse(readFileSync(join(buildInfoDir, file), 'utf8'));
+        const sourceName = Object.keys(buildInfo.output.contracts || {}).find((source) => buildInfo.output.contracts[source][contractName]);
+
+        if (sourceName) return { buildInfo, sourceName };
+    }
+
+    throw new Error(`${contractName} not found in the build info of ${artifactsDir}`);
+}
+
+const getSourceText = (buildInfo, src) => {
+    const [start, length, fileIndex] = src.split(':').map(Number);
+    const sourceName = Object.keys(buildInfo.output.sources).find((name) => buildInfo.output.sources[name].id === fileIndex);
+
+    return Buffer.from(buildInfo.input.sources[sourceName].content)
+        .subarray(start, start + length)
+        .toString();
+};
+
+// evaluates the constant expressions used for storage keys, anything else is compared by its source text
+function evaluate(node, buildInfo) {
+    const [arg] = node.arguments || [];
+
+    if (node.nodeType === 'FunctionCall' && node.expression.name === 'keccak256' && arg?.nodeType === 'Literal' && arg.kind === 'string') {
+        return keccak256(toUtf8Bytes(arg.value));
+    }
+
+    if (node.nodeType === 'FunctionCall' && node.kind === 'typeConversion' && arg?.nodeType === 'Literal' && arg.kind === 'number') {
+        return hexZeroPad(arg.value, 32);
+    }
+
+    return getSourceText(buildInfo, node.src);
+}
+
+// the contract definition and its base contracts, most derived first
+function getContractDefinitions(buildInfo, sourceName, contractName) {
+    const definitions = {};
+
+    Object.values(buildInfo.output.sources).forEach(({ ast }) =>
+        ast.nodes.filter(({ nodeType }) => nodeType === 'ContractDefinition').forEach((node) => (definitions[node.id] = node)),
+    );
+
+    const contract = buildInfo.output.sources[sourceName].ast.nodes.find(
+        ({ nodeType, name }) => nodeType === 'ContractDefinition' && name === contractName,
+    );
+
+    return contract.linearizedBaseContracts.map((id) => definitions[id]).filter(Boolean);
+}
+
+function getConstants(buildInfo, definitions) {
+    const constants = {};
+
+    for (const definition of [...definitions].reverse()) {
+        definition.nodes
+            .filter(({ nodeType, constant }) => nodeType === 'VariableDeclaration' && constant)
+            .forEach((node) => (constants[node.name] = evaluate(node.value, buildInfo)));
+    }
+
+    return constants;
+}
+
+function getContractId(buildInfo, definitions) {
+    for (const definition of definitions) {
+        const fn = definition.nodes.find(({ nodeType, name }) => nodeType === 'FunctionDefinition' && name === 'contractId');
+        const statement = fn?.body?.statements?.[0];
+
+        if (statement?.nodeType === 'Return') return evaluate(statement.expression, buildInfo);
+    }
+
+    return undefined;
+}
+
+const getStorageLayout = (storageLayout) =>
+    storageLayout &&
+    storageLayout.storage.map(({ label, slot, offset, type, contract }) => ({
+        label,
+        slot,
+        offset,
+        type: storageLayout.types[type].label,
+        contract,
+    }));
+
+// storage layouts are only part of the build info when compiled with STORAGE_LAYOUT=true (see `npm run storage-layout`)
+function loadContractBuild(artifactsDir, contractName = 'AxelarGateway') {
+    const { buildInfo, sourceName } = findBuildInfo(artifactsDir, contractName);
+    const output = buildInfo.output.contracts[sourceName][contractName];
+    const definitions = getContractDefinitions(buildInfo, sourceName, contractName);
+
+    return {
+        contractName,
+        abi: output.abi,
+        storageLayout: getStorageLayout(output.storageLayout),
+        constants: getConstants(buildInfo, definitions),
+        contractId: getContractId(buildInfo, definitions),
+    };
+}
+
+const getFragments = (abi, type) =>
+    Object.fromEntries(
+        new Interface(abi).fragments
+            .filter((fragment) => fragment.type === type)
+            .map((fragment) => [fragment.format(FormatTypes.sighash), fragment]),
+    );
+
+function compareStorageLayouts(current, candidate, report) {
+    const missing = [!current && 'current', !candidate && 'candidate'].filter(Boolean);
+
+    if (missing.length > 0) {
+        throw new Error(
+            `Missing storage layout in the ${missing.join(' and ')} build, the build info only has it when the release is compiled ` +
+                'with the storage layout output, run `STORAGE_LAYOUT=true npx hardhat compile --force` in its checkout',
+        );
+    }
+
+    current.forEach((variable, i) => {
+        const next = candidate[i];
+        const describe = ({ label, slot, offset, type }) => `${label} (${type}) at slot ${slot} offset ${offset}`;
+
+        if (!next) {
+            report.breaking.push(`storage variable ${describe(variable)} was removed`);
+        } else if (['label', 'slot', 'offset', 'type'].some((key) => variable[key] !== next[key])) {
+            report.breaking.push(`storage variable ${describe(variable)} is now ${describe(next)}`);
+        }
+    });
+
+    candidate.slice(current.length).forEach(({ label, slot }) => report.info.push(`storage variable ${label} appended at slot ${slot}`));
+}
+
+function compareConstants(current, candidate, report) {
+    for (const [name, value] of Object.entries(current)) {
+        const severity = isStorageKey(name) ? report.breaking : report.warnings;
+
+        if (!(name in candidate)) {
+            severity.push(`constant ${name} was removed`);
+        } else if (candidate[name] !== value) {
+            severity.push(`constant ${name} changed from ${value} to ${candidate[name]}`);
+        }
+    }
+
+    Object.keys(candidate)
+        .filter((name) => !(name in current))
+        .forEach((name) => report.info.push(`constant ${name} = ${candidate[name]} added`));
+}
+
+function compareAbis(current, candidate, report) {
+    const types = [
+        ['function', report.breaking],
+        ['event', report.warnings],
+        ['error', report.warnings],
+    ];
+
+    for (const [type, removedSeverity] of types) {
+        const before = getFragments(current, type);
+        const after = getFragments(candidate, type);
+
+        for (const [signature, fragment] of Object.entries(before)) {
+            if (!after[signature]) {
+                removedSeverity.push(`${type} ${signature} was removed`);
+            } else if (type === 'function' && fragment.format(FormatTypes.full) !== after[signature].format(FormatTypes.full)) {
+                report.warnings.push(`function ${fragment.format(FormatTypes.full)} is now ${after[signature].format(FormatTypes.full)}`);
+            }
+        }
+
+        Object.keys(after)
+            .filter((signature) => !before[signature])
+            .forEach((signature) => report.info.push(`${type} ${signature} added`));
+    }
+}
+
+// compares the build of the deployed implementation with the candidate, any breaking change makes the upgrade unsafe
+function checkUpgradeSafety(current, candidate) {
+    const report = { breaking: [], warnings: [], info: [] };
+
+    if (current.contractId !== candidate.contractId) {
+        report.breaking.push(`contractId changed from ${current.contractId} to ${candidate.contractId}, upgrade() reverts`);
+    }
+
+    compareStorageLayouts(current.storageLayout, candidate.storageLayout, report);
+    compareConstants(current.constants, candidate.constants, report);
+    compareAbis(current.abi, candidate.abi, report);
+
+    return { safe: report.breaking.length === 0, ...report };
+}
+
+async function main(values) {
+    const current = loadContractBuild(values.current, values.contract);
+    const candidate = loadContractBuild(values.candidate, values.contract);
+
+    if (values.gateway) {
+        const provider = new JsonRpcProvider(values.url);
+        const gateway = new Contract(values.gateway, ['function implementation() view returns (address)'], provider);
+        const implementation = await gateway.implementation();
+        const contractId = await new Contract(implementation, ['function contractId() pure returns (bytes32)'], provider).contractId();
+
+        printLog(`deployed implementation ${implementation} has contractId ${contractId}`);
+
+        if (contractId !== current.contractId) {
+            throw new Error(`Deployed contractId ${contractId} does not match ${current.contractId} of ${values.current}`);
+        }
+    }
+
+    const result = checkUpgradeSafety(current, candidate);
+
+    printObj(result);
+
+    if (!result.safe) {
+        printLog(`upgrading ${values.contract} from ${values.current} to ${values.candidate} is unsafe`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            current: { type: 'string' },
+            candidate: { type: 'string', default: join(__dirname, '..', 'artifacts') },
+            contract: { type: 'string', default: 'AxelarGateway' },
+            url: { type: 'string', default: process.env.URL },
+            gateway: { type: 'string' },
+        },
+    });
+
+    if (!values.current || (values.gateway && !values.url)) {
+        console.error(
+            'Usage: node scripts/upgrade-safety.js --current <artifacts dir of the deployed release> [--candidate <artifacts dir>] ' +
+                '[--contract <name>] [--gateway <address> --url <rpc url>]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    loadContractBuild,
+    checkUpgradeSafety,
+};
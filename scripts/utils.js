@@ -1,10 +1,10 @@
 'use strict';
 
 const reader = require('readline-sync');
-const { execSync } = require('child_process');
-const { sortBy } = require('lodash');
 const fs = require('fs');
+const { join } = require('path');
 const { outputJsonSync } = require('fs-extra');
+const { AxelardKeySource } = require('./key-source');
 const {
     utils: { computeAddress, parseUnits },
 } = require('ethers');
@@ -17,25 +17,6 @@ function printObj(obj) {
     console.log(JSON.stringify(obj, null, 2));
 }
 
-const getAddresses = (prefix, chain, role) => {
-    const keyID = execSync(`${prefix} "axelard q tss key-id ${chain} ${role}"`, {
-        encoding: 'utf-8',
-    }).replaceAll('\n', '');
-    const output = execSync(`${prefix} "axelard q tss key ${keyID} --output json"`);
-    const keys = JSON.parse(output).multisig_key.key;
-
-    const addresses = keys.map((key) => {
-        const x = `${'0'.repeat(64)}${key.x}`.slice(-64);
-        const y = `${'0'.repeat(64)}${key.y}`.slice(-64);
-        return computeAddress(`0x04${x}${y}`);
-    });
-
-    return {
-        addresses: sortBy(addresses, (address) => address.toLowerCase()),
-        threshold: Number(JSON.parse(output).multisig_key.threshold),
-    };
-};
-
 const writeJSON = (data, name) => {
     outputJsonSync(name, data, {
         spaces: 2,
@@ -43,7 +24,38 @@ const writeJSON = (data, name) => {
     });
 };
 
+const getInfoPath = (env) => join(__dirname, '..', 'info', `${env}.json`);
+
+// matches the chain id or name of the chain info, case insensitively
+function findChain(chains, name) {
+    const chain = chains.find((chain) => [chain.id, chain.name].some((id) => id?.toLowerCase() === name.toLowerCase()));
+
+    if (!chain) {
+        throw new Error(`Chain ${name} not found in the chain info`);
+    }
+
+    return chain;
+}
+
+// RPCs limit the block range of log queries, so ranges are queried in pages of LOG_PAGE_SIZE blocks
+const LOG_PAGE_SIZE = Number(process.env.LOG_PAGE_SIZE) || 10000;
+
+async function queryFilterPaged(contract, filter, fromBlock = 0, toBlock = 'latest', pageSize = LOG_PAGE_SIZE) {
+    const lastBlock = typeof toBlock === 'number' ? toBlock : (await contract.provider.getBlock(toBlock)).number;
+    const events = [];
+
+    for (let start = fromBlock; start <= lastBlock; start += pageSize) {
+        events.push(...(await contract.queryFilter(filter, start, Math.min(start + pageSize - 1, lastBlock))));
+    }
+
+    return events;
+}
+
 module.exports = {
+    LOG_PAGE_SIZE,
+
+    queryFilterPaged,
+
     printLog,
 
     printObj,
@@ -72,21 +84,26 @@ module.exports = {
         }
     },
 
+    // kept for existing consumers of the package, these query axelard through the prefix and now return promises,
+    // new code should use getKeySource from key-source.js
     getOwners(prefix, chain) {
-        return getAddresses(prefix, chain, 'master');
+        return new AxelardKeySource(prefix).getOwners(chain);
     },
+
     getOperators(prefix, chain) {
-        return getAddresses(prefix, chain, 'secondary');
+        return new AxelardKeySource(prefix).getOperators(chain);
     },
 
     getAdminAddresses(prefix, chain) {
-        const adminKeyIDs = JSON.parse(execSync(`${prefix} "axelard q tss external-key-id ${chain} --output json"`)).key_ids;
-        return adminKeyIDs.map((adminKeyID) => {
-            const output = execSync(`${prefix} "axelard q tss key ${adminKeyID} --output json"`);
-            const key = JSON.parse(output).ecdsa_key.key;
+        return new AxelardKeySource(prefix).getAdminAddresses(chain);
+    },
 
-            return computeAddress(`0x04${key.x}${key.y}`);
-        });
+    getEVMAddresses(prefix, chain) {
+        return new AxelardKeySource(prefix).getEVMAddresses(chain);
+    },
+
+    getProxy(prefix, chain) {
+        return new AxelardKeySource(prefix).getProxy(chain);
     },
 
     pubkeysToAddresses(pubkeys) {
@@ -96,21 +113,9 @@ module.exports = {
         });
     },
 
-    getEVMAddresses(prefix, chain) {
-        const keyID = JSON.parse(execSync(`${prefix} "axelard q multisig key-id ${chain} --output json"`)).key_id;
-        const evmAddresses = JSON.parse(execSync(`${prefix} "axelard q evm address ${chain} --key-id ${keyID} --output json"`));
-        const sortedAddresses = sortBy(evmAddresses.addresses, (weightedAddress) => weightedAddress.address.toLowerCase());
-
-        const addresses = sortedAddresses.map((weightedAddress) => weightedAddress.address);
-        const weights = sortedAddresses.map((weightedAddress) => Number(weightedAddress.weight));
-        const threshold = Number(evmAddresses.threshold);
-
-        return { addresses, weights, threshold };
-    },
-
-    getProxy(prefix, chain) {
-        const proxy = JSON.parse(execSync(`${prefix} "axelard q evm gateway-address ${chain} --output json"`)).address;
-        return proxy;
+    // splits a comma separated option, undefined when the option is not set
+    parseList(str) {
+        return str ? str.split(',').map((item) => item.trim()) : undefined;
     },
 
     parseWei(str) {
@@ -145,4 +150,8 @@ module.exports = {
     },
 
     writeJSON,
+
+    getInfoPath,
+
+    findChain,
 };
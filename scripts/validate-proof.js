@@ -0,0 +1,69 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+} = require('ethers');
+
+const { printLog, printObj } = require('./utils');
+const { getExecuteInputFromCalldata } = require('./execute-decoder');
+const { getAuthContract, getOperatorEpochs, validateExecuteInput } = require('./proof-validator');
+
+async function validate({ calldata, url, gateway, auth, fromBlock }) {
+    const provider = new JsonRpcProvider(url);
+
+    if (!auth) {
+        auth = await new Contract(gateway, ['function authModule() view returns (address)'], provider).authModule();
+        printLog(`using auth module ${auth} of gateway ${gateway}`);
+    }
+
+    const authContract = getAuthContract(auth, provider);
+    const epochs = await getOperatorEpochs(authContract, fromBlock);
+
+    return validateExecuteInput(authContract, getExecuteInputFromCalldata(calldata), epochs);
+}
+
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        options: {
+            url: { type: 'string', default: process.env.URL || 'http://127.0.0.1:8545' },
+            gateway: { type: 'string', default: process.env.GATEWAY_ADDRESS },
+            auth: { type: 'string' },
+            'from-block': { type: 'string', default: '0' },
+        },
+        allowPositionals: true,
+    });
+
+    if (positionals.length !== 1 || !(values.gateway || values.auth)) {
+        console.error(
+            'Usage: node scripts/validate-proof.js <execute calldata | input> (--gateway <address> | --auth <address>) [--url <rpc url>] [--from-block <n>]',
+        );
+        process.exit(1);
+    }
+
+    validate({
+        calldata: positionals[0],
+        url: values.url,
+        gateway: values.gateway,
+        auth: values.auth,
+        fromBlock: Number(values['from-block']),
+    })
+        .then((result) => {
+            printObj(result);
+
+            if (!result.valid) {
+                process.exitCode = 1;
+            }
+        })
+        .catch((err) => {
+            console.error(err);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    validate,
+};
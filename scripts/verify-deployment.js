@@ -0,0 +1,146 @@
+'use strict';
+
+require('dotenv').config();
+
+const { parseArgs } = require('node:util');
+const {
+    Contract,
+    providers: { JsonRpcProvider },
+} = require('ethers');
+const { getBytecodeHash } = require('@axelar-network/axelar-chains-config');
+
+const AxelarGateway = require('../artifacts/contracts/AxelarGateway.sol/AxelarGateway.json');
+const { printLog, getInfoPath, findChain } = require('./utils');
+const { loadChainInfo } = require('./chain-info');
+const { getAuthContract, getOperatorsHash } = require('./proof-validator');
+const { getKeySource } = require('./key-source');
+
+const OWNABLE_ABI = ['function owner() view returns (address)'];
+
+// the expected gateway configuration of a chain, operators are only compared when given
+function getExpectedConfig(chain, { operators, implementationCodeHash } = {}) {
+    const gateway = chain.AxelarGateway || {};
+
+    if (!gateway.address) {
+        throw new Error(`Missing AxelarGateway.address for ${chain.name} in the chain info`);
+    }
+
+    return {
+        address: gateway.address,
+        authModule: gateway.authModule,
+        tokenDeployer: gateway.tokenDeployer,
+        implementation: gateway.implementation,
+        implementationCodeHash: implementationCodeHash || gateway.implementationCodeHash,
+        governance: gateway.governance,
+        mintLimiter: gateway.mintLimiter,
+        authOwner: gateway.address,
+        operators,
+    };
+}
+
+const compare = (check, expected, actual) => {
+    if (expected === undefined) return { check, expected: '-', actual, status: 'skipped' };
+
+    return { check, expected, actual, status: expected.toLowerCase() === actual.toLowerCase() ? 'ok' : 'mismatch' };
+};
+
+// the code hash helper refuses chains that don't hash code with keccak256 (polygon-zkevm), those are reported as unverifiable
+async function compareCodeHash(expected, implementation, chain, provider) {
+    let actual;
+
+    try {
+        actual = await getBytecodeHash(implementation, chain.id, provider);
+    } catch (err) {
+        return { check: 'implementationCodeHash', expected: expected || '-', actual: err.message, status: 'unverifiable' };
+    }
+
+    return compare('implementationCodeHash', expected, actual);
+}
+
+async function verifyDeployment(provider, chain, expected) {
+    const gateway = new Contract(expected.address, AxelarGateway.abi, provider);
+    const authModule = await gateway.authModule();
+    const implementation = await gateway.implementation();
+    const auth = getAuthContract(authModule, provider);
+    const owner = await new Contract(authModule, OWNABLE_ABI, provider).owner();
+    const currentEpoch = await auth.currentEpoch();
+    const { operators } = expected;
+
+    return [
+        compare('authModule', expected.authModule, authModule),
+        compare('tokenDeployer', expected.tokenDeployer, await gateway.tokenDeployer()),
+        compare('implementation', expected.implementation, implementation),
+        await compareCodeHash(expected.implementationCodeHash, implementation, chain, provider),
+        compare('governance', expected.governance, await gateway.governance()),
+        compare('mintLimiter', expected.mintLimiter, await gateway.mintLimiter()),
+        compare('authOwner', expected.authOwner, owner),
+        compare(
+            `operatorsHash (epoch ${currentEpoch})`,
+            operators && getOperatorsHash(operators.addresses, operators.weights, operators.threshold),
+            await auth.hashForEpoch(currentEpoch),
+        ),
+    ];
+}
+
+async function main(values) {
+    const chains = loadChainInfo(values.info || getInfoPath(values.env));
+    const chain = findChain(chains, values.chain);
+    const provider = new JsonRpcProvider(values.url || chain.rpc);
+    const keySource = getKeySource(values);
+    const operators = keySource && (await keySource.getEVMAddresses(chain.id));
+    const expected = getExpectedConfig(chain, { operators, implementationCodeHash: values['code-hash'] });
+
+    printLog(`verifying the gateway ${expected.address} on ${chain.name}`);
+
+    const results = await verifyDeployment(provider, chain, expected);
+
+    console.table(results);
+
+    if (results.some(({ status }) => status === 'mismatch')) {
+        printLog(`deployment on ${chain.name} does not match the expected configuration`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const skipped = results.filter(({ status }) => status === 'skipped').map(({ check }) => check);
+    const unverifiable = results.filter(({ status }) => status === 'unverifiable').map(({ check }) => check);
+
+    printLog(`deployment on ${chain.name} verified${skipped.length > 0 ? `, nothing to compare for ${skipped.join(', ')}` : ''}`);
+
+    if (unverifiable.length > 0) {
+        printLog(`${unverifiable.join(', ')} could not be verified on ${chain.name}`);
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            env: { type: 'string' },
+            chain: { type: 'string' },
+            info: { type: 'string' },
+            url: { type: 'string' },
+            prefix: { type: 'string' },
+            lcd: { type: 'string' },
+            'keys-file': { type: 'string' },
+            'code-hash': { type: 'string' },
+        },
+    });
+
+    if (!values.env || !values.chain) {
+        console.error(
+            'Usage: node scripts/verify-deployment.js --env <env> --chain <chain> ' +
+                '[--prefix <axelard prefix> | --lcd <url> | --keys-file <json>] [--code-hash <hash>] [--url <rpc url>]',
+        );
+        process.exit(1);
+    }
+
+    main(values).catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getExpectedConfig,
+    verifyDeployment,
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+const chai = require('chai');
+const { mkdtempSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { ethers, network } = require('hardhat');
+const { Wallet } = ethers;
+const { expect } = chai;
+const { sortBy } = require('lodash');
+
+const { CommandBatch, sortOperators } = require('../../scripts/command-batch');
+const { signBatch, getSignedExecuteInput, loadOperatorWallets } = require('../../scripts/batch-signer');
+const { decodeWeightedProof, getBatchMessageHash } = require('../../scripts/execute-decoder');
+const { getChainId, getAddresses, getWeightedAuthDeployParam, getWeightedProxyDeployParams } = require('../utils');
+
+describe('BatchSigner', () => {
+    let ownerWallet;
+    let operatorWallets;
+    let userWallet;
+
+    let operatorSet;
+    let gateway;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, userWallet] = wallets;
+        // unsorted on purpose, the signer is expected to sort operators and signatures
+        operatorWallets = wallets.slice(2, 5).reverse();
+        operatorSet = { operators: getAddresses(operatorWallets), weights: [1, 2, 3], threshold: 4 };
+
+        const authFactory = await ethers.getContractFactory('AxelarAuthWeighted', ownerWallet);
+        const tokenDeployerFactory = await ethers.getContractFactory('TokenDeployer', ownerWallet);
+        const gatewayFactory = await ethers.getContractFactory('AxelarGateway', ownerWallet);
+        const gatewayProxyFactory = await ethers.getContractFactory('AxelarGatewayProxy', ownerWallet);
+
+        const { operators, weights } = sortOperators(operatorSet.operators, operatorSet.weights);
+        const auth = await authFactory
+            .deploy(getWeightedAuthDeployParam([operators], [weights], [operatorSet.threshold]))
+            .then((d) => d.deployed());
+        const tokenDeployer = await tokenDeployerFactory.deploy().then((d) => d.deployed());
+        const gatewayImplementation = await gatewayFactory.deploy(auth.address, tokenDeployer.address).then((d) => d.deployed());
+        const params = getWeightedProxyDeployParams(ownerWallet.address, ownerWallet.address, [], [], 1);
+        const proxy = await gatewayProxyFactory.deploy(gatewayImplementation.address, params).then((d) => d.deployed());
+
+        await auth.transferOwnership(proxy.address).then((tx) => tx.wait(network.config.confirmations));
+
+        gateway = gatewayFactory.attach(proxy.address);
+    });
+
+    it('should sort operators, weights and signatures', async () => {
+        const data = '0x1234';
+        const proof = decodeWeightedProof(await signBatch(data, operatorSet, operatorWallets), getBatchMessageHash(data));
+        const sortedOperators = sortBy(operatorSet.operators, (address) => address.toLowerCase());
+
+        expect(proof.operators).to.deep.equal(sortedOperators);
+        expect(proof.weights).to.deep.equal(
+            sortedOperators.map((operator) => operatorSet.weights[operatorSet.operators.indexOf(operator)].toString()),
+        );
+        expect(proof.signers).to.deep.equal(sortedOperators);
+    });
+
+    it('should reject signers that are not operators', async () => {
+        const error = await signBatch('0x1234', operatorSet, [userWallet]).catch((err) => err);
+
+        expect(error.message).to.equal(`Signer ${userWallet.address} is not part of the operator set`);
+    });
+
+    it('should reject duplicate signers', async () => {
+        const error = await signBatch('0x1234', operatorSet, [operatorWallets[2], operatorWallets[2]]).catch((err) => err);
+
+        expect(error.message).to.equal(`Duplicate signer ${operatorWallets[2].address}`);
+    });
+
+    it('should reject signers below the threshold', async () => {
+        const error = await signBatch('0x1234', operatorSet, [operatorWallets[2]]).catch((err) => err);
+
+        expect(error.message).to.equal('Signers weight 3 is below the threshold 4');
+    });
+
+    it('should load keystores and mnemonics', async () => {
+        const keysDir = mkdtempSync(join(tmpdir(), 'keys-'));
+        const keystoreWallet = Wallet.createRandom();
+        const mnemonicWallet = Wallet.createRandom();
+
+        try {
+            writeFileSync(join(keysDir, 'operator.json'), await keystoreWallet.encrypt('password', { scrypt: { N: 16 } }));
+            writeFileSync(join(keysDir, 'operator.mnemonic'), mnemonicWallet.mnemonic.phrase);
+            writeFileSync(join(keysDir, 'README.md'), 'ignored');
+
+            const wallets = await loadOperatorWallets(keysDir, { password: 'password' });
+
+            expect(getAddresses(wallets)).to.deep.equal([keystoreWallet.address, mnemonicWallet.address]);
+
+            const error = await loadOperatorWallets(keysDir).catch((err) => err);
+            expect(error.message).to.match(/^A password is required/);
+        } finally {
+            rmSync(keysDir, { recursive: true });
+        }
+    });
+
+    it('should produce an execute input accepted by the gateway', async () => {
+        const batch = new CommandBatch(await getChainId()).transferOperatorship([userWallet.address], [1], 1);
+
+        await expect(gateway.execute(await getSignedExecuteInput(batch.encode(), operatorSet, operatorWallets.slice(1))))
+            .to.emit(gateway, 'Executed')
+            .withArgs(batch.commandIDs[0]);
+    });
+});
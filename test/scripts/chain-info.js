@@ -0,0 +1,75 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+
+const { validateChain, validateChainInfo, assertChainInfo, loadChainInfo } = require('../../scripts/chain-info');
+const { getInfoPath } = require('../../scripts/utils');
+
+describe('ChainInfo', () => {
+    const chain = {
+        name: 'Ethereum',
+        id: 'Ethereum',
+        chainId: 1,
+        rpc: 'https://rpc.ankr.com/eth',
+        gateway: '0x4F4495243837681061C4743b74B3eEdf548D56A5',
+        constAddressDeployer: '0x98b2920d53612483f91f12ed7754e51b4a77919e',
+        tokenSymbol: 'ETH',
+        AxelarGasService: { salt: 'AxelarGasService', collector: '0x345662ABfE0E257E23552A434D02Ef274cCb6A90' },
+        explorer: { url: 'https://etherscan.io' },
+    };
+
+    it('should accept the mainnet and testnet chain info', async () => {
+        const contracts = ['AxelarGasService', 'AxelarDepositService'];
+
+        for (const env of ['mainnet', 'testnet']) {
+            expect(loadChainInfo(getInfoPath(env), { contracts })).to.not.be.empty;
+        }
+    });
+
+    it('should report the path of every invalid field', async () => {
+        const invalid = {
+            ...chain,
+            chainId: '1',
+            rpc: 'localhost:8545',
+            gateway: '0x4f4495243837681061C4743b74B3eEdf548D56A5',
+            gasOptions: { gasLimit: 0, gasPrice: '1 gwei' },
+            AxelarGasService: { salt: 'AxelarGasService' },
+            explorer: {},
+        };
+
+        expect(validateChain(invalid, { path: '[0]' })).to.deep.equal([
+            { path: '[0].chainId', message: 'must be of type integer, got string' },
+            { path: '[0].rpc', message: 'must match ^(https?|wss?)://' },
+            { path: '[0].gateway', message: 'must be an address, got 0x4f4495243837681061C4743b74B3eEdf548D56A5' },
+            { path: '[0].explorer.url', message: 'is required' },
+            { path: '[0].gasOptions.gasLimit', message: 'must be at least 1' },
+            { path: '[0].gasOptions.gasPrice', message: 'must match ^[0-9]+$' },
+        ]);
+        expect(validateChain(invalid, { contracts: ['AxelarGasService'], path: '[0]' })).to.deep.include({
+            path: '[0].AxelarGasService.collector',
+            message: 'is required',
+        });
+    });
+
+    it('should require the fields of the contracts being deployed', async () => {
+        const { gateway, ...withoutGateway } = chain;
+
+        expect(validateChain(chain, { contracts: ['AxelarGasService'] })).to.be.empty;
+        expect(validateChain(withoutGateway, { contracts: ['AxelarDepositService'], path: 'Ethereum' })).to.deep.equal([
+            { path: 'Ethereum.AxelarDepositService', message: 'is required' },
+            { path: 'Ethereum.gateway', message: 'is required' },
+        ]);
+        expect(() => validateChain(chain, { contracts: ['Unknown'] })).to.throw('No schema for Unknown');
+    });
+
+    it('should reject duplicate chains', async () => {
+        const chains = [chain, { ...chain, name: 'Avalanche', id: 'ethereum' }];
+
+        expect(validateChainInfo(chains)).to.deep.equal([
+            { path: '[1].id', message: 'duplicates [0].id' },
+            { path: '[1].chainId', message: 'duplicates [0].chainId' },
+        ]);
+        expect(() => assertChainInfo(chains, {}, 'info/test.json')).to.throw('Invalid info/test.json:\n[1].id duplicates [0].id');
+    });
+});
@@ -0,0 +1,195 @@
+'use strict';
+
+const chai = require('chai');
+const { readFileSync } = require('fs');
+const { join } = require('path');
+const { sortBy } = require('lodash');
+const { ethers, network } = require('hardhat');
+const {
+    utils: { id, keccak256, defaultAbiCoder },
+    constants: { AddressZero, HashZero },
+} = ethers;
+const { expect } = chai;
+
+const { COMMANDS, CommandBatch, SELECTORS, isKnownCommand, encodeCommandParams, sortOperators } = require('../../scripts/command-batch');
+const {
+    getChainId,
+    getRandomID,
+    getAddresses,
+    getDeployCommand,
+    getMintCommand,
+    getApproveContractCall,
+    getTransferWeightedOperatorshipCommand,
+    buildCommandBatch,
+    getWeightedAuthDeployParam,
+    getWeightedProxyDeployParams,
+    getSignedWeightedExecuteInput,
+    getWeightedSignaturesProof,
+} = require('../utils');
+
+describe('CommandBatch', () => {
+    let ownerWallet;
+    let operatorWallet;
+    let userWallet;
+
+    let gateway;
+
+    before(async () => {
+        [ownerWallet, operatorWallet, userWallet] = await ethers.getSigners();
+
+        const authFactory = await ethers.getContractFactory('AxelarAuthWeighted', ownerWallet);
+        const tokenDeployerFactory = await ethers.getContractFactory('TokenDeployer', ownerWallet);
+        const gatewayFactory = await ethers.getContractFactory('AxelarGateway', ownerWallet);
+        const gatewayProxyFactory = await ethers.getContractFactory('AxelarGatewayProxy', ownerWallet);
+
+        const auth = await authFactory
+            .deploy(getWeightedAuthDeployParam([getAddresses([operatorWallet])], [[1]], [1]))
+            .then((d) => d.deployed());
+        const tokenDeployer = await tokenDeployerFactory.deploy().then((d) => d.deployed());
+        const gatewayImplementation = await gatewayFactory.deploy(auth.address, tokenDeployer.address).then((d) => d.deployed());
+        const params = getWeightedProxyDeployParams(ownerWallet.address, ownerWallet.address, [], [], 1);
+        const proxy = await gatewayProxyFactory.deploy(gatewayImplementation.address, params).then((d) => d.deployed());
+
+        await auth.transferOwnership(proxy.address).then((tx) => tx.wait(network.config.confirmations));
+
+        gateway = gatewayFactory.attach(proxy.address);
+    });
+
+    it('should map every command to the gateway selector', async () => {
+        const source = readFileSync(join(__dirname, '../../contracts/AxelarGateway.sol'), 'utf8');
+        const gatewaySelectors = [...source.matchAll(/bytes32 internal constant SELECTOR_\w+ = keccak256\('(\w+)'\);/g)].map(
+            ([, name]) => name,
+        );
+        // the SELECTOR_* constants are internal, so they can only be found as PUSH32 immediates in the deployed bytecode
+        const code = await ethers.provider.getCode(await gateway.implementation());
+
+        expect(gatewaySelectors).to.have.members(Object.keys(COMMANDS));
+        expect(Object.keys(SELECTORS)).to.have.length(gatewaySelectors.length);
+
+        for (const name of gatewaySelectors) {
+            expect(SELECTORS[id(name)]).to.equal(name);
+            expect(code).to.include(`7f${id(name).slice(2)}`);
+        }
+
+        expect(isKnownCommand('freezeToken')).to.be.false;
+    });
+
+    it('should encode the same batch as the test helpers', async () => {
+        const chainId = await getChainId();
+        const commandIDs = [getRandomID(), getRandomID(), getRandomID()];
+        const payloadHash = keccak256('0x1234');
+        const sourceTxHash = keccak256('0x5678');
+
+        const batch = new CommandBatch(chainId)
+            .deployToken('Token', 'TKN', 18, 0, AddressZero, 1000, commandIDs[0])
+            .mintToken('TKN', userWallet.address, 100, commandIDs[1])
+            .approveContractCall('Chain', 'source', userWallet.address, payloadHash, sourceTxHash, 0, commandIDs[2]);
+
+        expect(batch.length).to.equal(3);
+        expect(batch.encode()).to.deep.equal(
+            buildCommandBatch(
+                chainId,
+                commandIDs,
+                ['deployToken', 'mintToken', 'approveContractCall'],
+                [
+                    getDeployCommand('Token', 'TKN', 18, 0, AddressZero, 1000),
+                    getMintCommand('TKN', userWallet.address, 100),
+                    getApproveContractCall('Chain', 'source', userWallet.address, payloadHash, sourceTxHash, 0),
+                ],
+            ),
+        );
+    });
+
+    it('should accept named params', () => {
+        expect(
+            encodeCommandParams('mintToken', {
+                symbol: 'TKN',
+                account: userWallet.address,
+                amount: 100,
+            }),
+        ).to.equal(getMintCommand('TKN', userWallet.address, 100));
+    });
+
+    it('should sort operators together with their weights', () => {
+        const operators = [userWallet.address, ownerWallet.address];
+        const batch = new CommandBatch(1).transferOperatorship(operators, [1, 1], 2);
+
+        expect(batch.commands[0]).to.equal(getTransferWeightedOperatorshipCommand(operators, [1, 1], 2));
+
+        const [sortedOperators, weights] = defaultAbiCoder.decode(
+            ['address[]', 'uint256[]', 'uint256'],
+            new CommandBatch(1).transferOperatorship(operators, [1, 2], 3).commands[0],
+        );
+        const userIndex = sortedOperators.indexOf(userWallet.address);
+
+        expect(weights[userIndex].toNumber()).to.equal(1);
+        expect(weights[1 - userIndex].toNumber()).to.equal(2);
+    });
+
+    it('should sort operators together with their weights in the command helper', () => {
+        const operators = sortBy([userWallet.address, ownerWallet.address, operatorWallet.address], (address) => address.toLowerCase());
+        const unsorted = [operators[2], operators[0], operators[1]];
+
+        expect(getTransferWeightedOperatorshipCommand(unsorted, [3, 1, 2], 4)).to.equal(
+            defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [operators, [1, 2, 3], 4]),
+        );
+        expect(sortOperators(unsorted, [3, 1, 2])).to.deep.equal({ operators, weights: [1, 2, 3] });
+        expect(() => sortOperators(unsorted, [1, 2])).to.throw('Operators and weights length mismatch: 3 != 2');
+    });
+
+    it('should generate unique command IDs', () => {
+        const batch = new CommandBatch(1).burnToken('TKN', HashZero).burnToken('TKN', HashZero);
+
+        expect(batch.commandIDs[0]).to.not.equal(batch.commandIDs[1]);
+    });
+
+    it('should reject invalid params', () => {
+        const batch = new CommandBatch(1);
+
+        expect(() => batch.mintToken('TKN', '0x1234', 100)).to.throw('mintToken.account: invalid address 0x1234');
+        expect(() => batch.deployToken('Token', 'TKN', 256, 0, AddressZero, 0)).to.throw('deployToken.decimals');
+        expect(() => batch.mintToken('TKN', userWallet.address, -1)).to.throw('mintToken.amount');
+        expect(() => batch.burnToken('TKN', '0x1234')).to.throw('burnToken.salt');
+        expect(() => batch.addCommand('freezeToken', [])).to.throw('Unknown command freezeToken');
+        expect(() => batch.transferOperatorship([userWallet.address], [1, 1], 1)).to.throw(
+            'operators and weights must have the same length',
+        );
+
+        const commandID = getRandomID();
+        batch.burnToken('TKN', HashZero, commandID);
+        expect(() => batch.burnToken('TKN', HashZero, commandID)).to.throw(`Duplicate commandID ${commandID}`);
+        expect(batch.length).to.equal(1);
+    });
+
+    it('should round trip through JSON', () => {
+        const batch = new CommandBatch(1).mintToken('TKN', userWallet.address, 100).addEncodedCommand('freezeToken', '0x');
+
+        expect(CommandBatch.fromJSON(JSON.parse(JSON.stringify(batch))).encode()).to.deep.equal(batch.encode());
+
+        const { commandIDs, commandNames, commands } = batch.toJSON();
+
+        expect(() => CommandBatch.fromJSON({ chainId: 1, commandIDs, commandNames, commands: commands.slice(0, 1) })).to.throw(
+            'commandIDs, commandNames and commands must have the same length',
+        );
+        expect(() => CommandBatch.fromJSON({ chainId: 1, commandIDs: commandIDs.slice(0, 1), commandNames, commands })).to.throw(
+            'must have the same length',
+        );
+    });
+
+    it('should build a batch that the gateway executes', async () => {
+        const batch = new CommandBatch(await getChainId()).deployToken('Token', 'TKN', 18, 0, AddressZero, 0);
+        const data = batch.encode();
+
+        await expect(gateway.execute(await getSignedWeightedExecuteInput(data, [operatorWallet], [1], 1, [operatorWallet])))
+            .to.emit(gateway, 'TokenDeployed')
+            .and.to.emit(gateway, 'Executed')
+            .withArgs(batch.commandIDs[0]);
+
+        const mintBatch = new CommandBatch(await getChainId()).mintToken('TKN', userWallet.address, 100);
+        const proof = await getWeightedSignaturesProof(mintBatch.encode(), [operatorWallet], [1], 1, [operatorWallet]);
+
+        await expect(gateway.execute(mintBatch.getExecuteInput(proof)))
+            .to.emit(gateway, 'Executed')
+            .withArgs(mintBatch.commandIDs[0]);
+    });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const chai = require('chai');
+const { mkdtempSync, readFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { ethers, network } = require('hardhat');
+const {
+    Wallet,
+    utils: { parseEther, hexValue },
+} = ethers;
+const { expect } = chai;
+const { noop } = require('lodash');
+const ConstAddressDeployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/ConstAddressDeployer.sol/ConstAddressDeployer.json');
+
+const { startRpc } = require('../utils');
+const { writeJSON } = require('../../scripts/utils');
+const { forkNetwork } = require('../../scripts/dry-run');
+const { updateChainInfo, deployBatch } = require('../../scripts/deploy-upgradable');
+
+describe('DeployUpgradable', () => {
+    const artifacts = '../artifacts/contracts/gas-service/';
+
+    let ownerWallet;
+    let wallet;
+    let dir;
+    let infoPath;
+
+    const deployConstAddressDeployer = () =>
+        ethers
+            .getContractFactory(ConstAddressDeployer.abi, ConstAddressDeployer.bytecode, ownerWallet)
+            .then((factory) => factory.deploy())
+            .then((d) => d.deployed());
+
+    before(async () => {
+        [ownerWallet] = await ethers.getSigners();
+
+        wallet = Wallet.createRandom();
+        await ownerWallet.sendTransaction({ to: wallet.address, value: parseEther('10') }).then((tx) => tx.wait());
+
+        // every chain lives on the hardhat network, so each gets its own deployer to avoid address collisions
+        const chains = [];
+
+        for (const name of ['ChainA', 'ChainB', 'ChainC']) {
+            chains.push({
+                name,
+                id: name.toLowerCase(),
+                chainId: chains.length + 1,
+                rpc: 'http://127.0.0.1:8545',
+                tokenSymbol: 'ETH',
+                constAddressDeployer: (await deployConstAddressDeployer()).address,
+                AxelarGasService: name === 'ChainB' ? {} : { collector: ownerWallet.address },
+            });
+        }
+
+        dir = mkdtempSync(join(tmpdir(), 'deploy-upgradable-'));
+        infoPath = join(dir, 'local.json');
+        writeJSON(chains, infoPath);
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should apply concurrent chain info updates without losing any', async () => {
+        await Promise.all(['ChainA', 'ChainC'].map((name, i) => updateChainInfo(infoPath, name, 'Test', { value: i })));
+
+        const chains = JSON.parse(readFileSync(infoPath, 'utf8'));
+
+        expect(chains.map(({ Test }) => Test)).to.deep.equal([{ value: 0 }, undefined, { value: 1 }]);
+    });
+
+    it('should deploy and upgrade across chains, isolating the failing ones', async () => {
+        const plan = {
+            env: 'local',
+            artifacts,
+            // the chains share one hardhat account here, so they are deployed one at a time to keep the nonces in order
+            concurrency: 1,
+            deployments: [
+                { chain: 'ChainA', contract: 'AxelarGasService' },
+                { chain: 'ChainB', contract: 'AxelarGasService' },
+                { chain: 'ChainB', contract: 'AxelarGasService', action: 'upgrade' },
+                { chain: 'ChainC', contract: 'AxelarGasService', action: 'deploy' },
+                { chain: 'ChainA', contract: 'AxelarGasService', action: 'upgrade' },
+                { chain: 'Unknown', contract: 'AxelarGasService' },
+            ],
+        };
+
+        const results = await deployBatch(plan, wallet, { infoPath, getProvider: async () => ethers.provider, log: noop });
+        const chains = JSON.parse(readFileSync(infoPath, 'utf8'));
+
+        expect(results.map(({ chain, action, status }) => [chain, action, status])).to.deep.equal([
+            ['ChainA', 'deploy', 'completed'],
+            ['ChainB', 'auto', 'failed'],
+            ['ChainB', 'upgrade', 'pending'],
+            ['ChainC', 'deploy', 'completed'],
+            ['ChainA', 'upgrade', 'completed'],
+            ['Unknown', 'auto', 'failed'],
+        ]);
+        expect(results[1].error).to.match(/ChainB.AxelarGasService.collector is required/);
+        expect(chains[0].AxelarGasService).to.include({ address: results[0].address, deployer: wallet.address, salt: 'AxelarGasService' });
+        expect(chains[0].AxelarGasService.implementation).to.not.equal(undefined);
+        expect(chains[1].AxelarGasService).to.deep.equal({});
+        expect(chains[2].AxelarGasService.address).to.equal(results[3].address);
+
+        const gasService = await ethers.getContractAt('AxelarGasService', results[0].address);
+
+        expect(await gasService.implementation()).to.equal(chains[0].AxelarGasService.implementation);
+        expect(await gasService.owner()).to.equal(wallet.address);
+    });
+
+    it('should deploy chains concurrently, matching them by id', async () => {
+        const rpcs = [await startRpc(), await startRpc()];
+
+        // each chain gets a fork of its own so the shared account keeps a separate nonce per chain, forks start a few blocks back
+        await network.provider.send('hardhat_mine', [hexValue(64)]);
+
+        const chains = JSON.parse(readFileSync(infoPath, 'utf8')).map((chain) => ({
+            ...chain,
+            AxelarGasService: { ...chain.AxelarGasService, collector: ownerWallet.address },
+        }));
+        chains[1].rpc = rpcs[0].url;
+        chains[2].rpc = rpcs[1].url;
+        writeJSON(chains, infoPath);
+
+        const plan = {
+            env: 'local',
+            artifacts,
+            concurrency: 2,
+            deployments: [
+                { chain: 'chainb', contract: 'AxelarGasService' },
+                { chain: 'chainc', contract: 'AxelarGasService', action: 'upgrade' },
+                { chain: 'ChainB', contract: 'AxelarGasService', action: 'upgrade' },
+            ],
+        };
+
+        try {
+            const results = await deployBatch(plan, wallet, {
+                infoPath,
+                getProvider: (chain) => forkNetwork(chain.rpc),
+                log: noop,
+            });
+            const updated = JSON.parse(readFileSync(infoPath, 'utf8'));
+
+            expect(results.map(({ chain, action, status }) => [chain, action, status])).to.deep.equal([
+                ['chainb', 'deploy', 'completed'],
+                ['chainc', 'upgrade', 'completed'],
+                ['ChainB', 'upgrade', 'completed'],
+            ]);
+            expect(updated[0].AxelarGasService).to.deep.equal(chains[0].AxelarGasService);
+            expect(updated[1].AxelarGasService).to.include({ address: results[0].address, deployer: wallet.address });
+            expect(updated[2].AxelarGasService.address).to.equal(chains[2].AxelarGasService.address);
+            expect(updated[2].AxelarGasService.implementation).to.not.equal(chains[2].AxelarGasService.implementation);
+
+            for (const [i, rpc] of rpcs.entries()) {
+                const gasService = await ethers.getContractAt('AxelarGasService', updated[i + 1].AxelarGasService.address);
+
+                expect(await gasService.connect(await forkNetwork(rpc.url)).implementation()).to.equal(
+                    updated[i + 1].AxelarGasService.implementation,
+                );
+            }
+        } finally {
+            rpcs.forEach((rpc) => rpc.close());
+        }
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const { expect } = chai;
+const { sortBy, noop } = require('lodash');
+const ConstAddressDeployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/ConstAddressDeployer.sol/ConstAddressDeployer.json');
+
+const { getRecipe } = require('../../scripts/deploy-recipes');
+const { getDeployConfig, newDeployState, deployRecipe } = require('../../scripts/deploy');
+const { getAddresses } = require('../utils');
+
+describe('Deploy', () => {
+    const recipe = getRecipe('v6.x');
+
+    let ownerWallet;
+    let governanceWallet;
+    let operatorWallets;
+    let chain;
+
+    beforeEach(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, governanceWallet] = wallets;
+        operatorWallets = wallets.slice(2, 5).reverse();
+
+        const constAddressDeployer = await ethers
+            .getContractFactory(ConstAddressDeployer.abi, ConstAddressDeployer.bytecode, ownerWallet)
+            .then((factory) => factory.deploy())
+            .then((d) => d.deployed());
+
+        chain = {
+            name: 'Test',
+            id: 'test',
+            constAddressDeployer: constAddressDeployer.address,
+            AxelarGateway: { governance: governanceWallet.address },
+            AxelarDepositService: { wrappedSymbol: 'WETH' },
+        };
+    });
+
+    it('should resolve the recipe config from arguments, chain info and deployer', async () => {
+        const values = { operators: getAddresses(operatorWallets).join(','), weights: '1,2,3', threshold: '4', 'wrapped-symbol': '' };
+        const config = await getDeployConfig(recipe, chain, values, ownerWallet.address);
+        const sorted = sortBy(
+            operatorWallets.map((wallet, i) => [wallet.address, i + 1]),
+            ([address]) => address.toLowerCase(),
+        );
+
+        expect(config).to.deep.equal({
+            operators: { addresses: sorted.map(([address]) => address), weights: sorted.map(([, weight]) => weight), threshold: 4 },
+            governance: governanceWallet.address,
+            mintLimiter: ownerWallet.address,
+            gasCollector: ownerWallet.address,
+            depositService: { wrappedSymbol: '', refundIssuer: ownerWallet.address },
+        });
+        const err = await getDeployConfig(recipe, chain, {}, ownerWallet.address).catch((err) => err);
+
+        expect(err.message).to.include('Missing --operators or --prefix');
+    });
+
+    it('should deploy the full stack and resume from the failed step', async () => {
+        const config = await getDeployConfig(recipe, chain, { operators: ownerWallet.address, threshold: '1' }, ownerWallet.address);
+        const state = newDeployState('local', chain, recipe, ownerWallet.address, config);
+        const saved = [];
+        const saveState = (state) => saved.push({ ...state.steps });
+
+        // the wrapped token is not registered on the new gateway, so the deposit service deployment fails
+        const error = await deployRecipe({ env: 'local', chain, wallet: ownerWallet, recipe, state, saveState, log: noop }).catch(
+            (err) => err,
+        );
+
+        expect(error).to.be.an('error');
+        expect(Object.entries(state.steps).map(([name, { status }]) => [name, status])).to.deep.equal([
+            ['auth', 'completed'],
+            ['tokenDeployer', 'completed'],
+            ['gatewayImplementation', 'completed'],
+            ['gatewayProxy', 'completed'],
+            ['transferAuthOwnership', 'completed'],
+            ['gasService', 'completed'],
+            ['depositService', 'failed'],
+        ]);
+        expect(state.steps.auth).to.include({
+            contractName: 'AxelarAuthWeighted',
+            address: (await ethers.provider.getTransactionReceipt(state.steps.auth.transactionHash)).contractAddress,
+        });
+        expect(state.steps.auth.constructorArgs).to.have.length(1);
+
+        const completed = { ...state.steps };
+        const savedCount = saved.length;
+        delete completed.depositService;
+        state.config.depositService.wrappedSymbol = '';
+
+        await deployRecipe({ env: 'local', chain, wallet: ownerWallet, recipe, state, saveState, log: noop });
+
+        // pending, implementation sent, proxy sent and completed
+        expect(saved.length - savedCount).to.equal(4);
+        expect(state.steps).to.deep.include(completed);
+        expect(state.steps.depositService.status).to.equal('completed');
+
+        const gateway = await ethers.getContractAt('AxelarGateway', chain.gateway);
+        const auth = await ethers.getContractAt('AxelarAuthWeighted', state.steps.auth.address);
+        const gasService = await ethers.getContractAt('AxelarGasService', chain.AxelarGasService.address);
+        const depositService = await ethers.getContractAt('AxelarDepositService', chain.AxelarDepositService.address);
+
+        expect(await gateway.authModule()).to.equal(state.steps.auth.address);
+        expect(await gateway.tokenDeployer()).to.equal(state.steps.tokenDeployer.address);
+        expect(await gateway.implementation()).to.equal(state.steps.gatewayImplementation.address);
+        expect(await gateway.governance()).to.equal(governanceWallet.address);
+        expect(await gateway.mintLimiter()).to.equal(ownerWallet.address);
+        expect(await auth.owner()).to.equal(gateway.address);
+        expect(await gasService.gasCollector()).to.equal(ownerWallet.address);
+        expect(await depositService.gateway()).to.equal(gateway.address);
+
+        expect(chain.AxelarGateway).to.include({ address: gateway.address, governance: governanceWallet.address });
+        expect(chain.AxelarGasService).to.include({ salt: 'AxelarGasService', implementation: await gasService.implementation() });
+        expect(chain.AxelarDepositService).to.include({ wrappedSymbol: '', refundIssuer: ownerWallet.address });
+    });
+
+    it('should reuse the upgradable contracts of an interrupted run', async () => {
+        const config = await getDeployConfig(
+            recipe,
+            chain,
+            { operators: ownerWallet.address, threshold: '1', 'wrapped-symbol': '' },
+            ownerWallet.address,
+        );
+        const state = newDeployState('local', chain, recipe, ownerWallet.address, config);
+
+        await deployRecipe({ env: 'local', chain, wallet: ownerWallet, recipe, state, log: noop });
+
+        const { gasService, depositService } = state.steps;
+        const proxyTx = await ethers.provider.getTransaction(gasService.transactionHash);
+
+        expect(proxyTx.to).to.equal(chain.constAddressDeployer);
+        expect(depositService).to.include({ status: 'completed', address: chain.AxelarDepositService.address });
+        expect((await ethers.provider.getTransactionReceipt(depositService.implementationTransactionHash)).contractAddress).to.equal(
+            depositService.implementation,
+        );
+
+        // the run died after the proxies were deployed, before either step was recorded as completed
+        state.steps.gasService = { status: 'pending' };
+        delete state.steps.depositService;
+
+        const nonce = await ownerWallet.getTransactionCount();
+
+        await deployRecipe({ env: 'local', chain, wallet: ownerWallet, recipe, state, log: noop });
+
+        expect(await ownerWallet.getTransactionCount()).to.equal(nonce);
+        expect(state.steps.gasService).to.include({
+            status: 'completed',
+            address: gasService.address,
+            implementation: gasService.implementation,
+        });
+        expect(state.steps.depositService).to.include({
+            status: 'completed',
+            address: depositService.address,
+            implementation: depositService.implementation,
+        });
+    });
+
+    it('should not resume a state created by another recipe', async () => {
+        const state = { ...newDeployState('local', chain, getRecipe('v4.3.x'), ownerWallet.address, {}) };
+        const error = await deployRecipe({ env: 'local', chain, wallet: ownerWallet, recipe, state, log: noop }).catch((err) => err);
+
+        expect(error.message).to.equal('State was created by recipe v4.3.x, not v6.x');
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const { expect } = chai;
+
+const { DeploymentJournal, getCodeHash } = require('../../scripts/deployment-journal');
+
+describe('DeploymentJournal', () => {
+    let ownerWallet;
+    let tokenDeployerFactory;
+
+    before(async () => {
+        [ownerWallet] = await ethers.getSigners();
+
+        tokenDeployerFactory = await ethers.getContractFactory('TokenDeployer', ownerWallet);
+    });
+
+    it('should record pending, completed and failed steps', async () => {
+        const states = [];
+        const journal = new DeploymentJournal({ steps: {} }, (state) => states.push(JSON.parse(JSON.stringify(state))));
+        const contract = await tokenDeployerFactory.deploy();
+
+        journal.start('tokenDeployer', { address: contract.address, transactionHash: contract.deployTransaction.hash });
+        expect(states[0].steps.tokenDeployer).to.include({ status: 'pending', address: contract.address });
+
+        await contract.deployed();
+        await journal.complete('tokenDeployer', ethers.provider);
+
+        expect(journal.isCompleted('tokenDeployer')).to.be.true;
+        expect(journal.get('tokenDeployer').codeHash).to.equal(await getCodeHash(ethers.provider, contract.address));
+
+        journal.fail('gateway', new Error('out of gas'));
+
+        expect(states[2].steps.gateway).to.include({ status: 'failed', error: 'out of gas' });
+        expect(journal.isCompleted('gateway')).to.be.false;
+    });
+
+    it('should recover a pending deployment that was mined', async () => {
+        const contract = await tokenDeployerFactory.deploy().then((d) => d.deployed());
+        const journal = new DeploymentJournal({
+            steps: { tokenDeployer: { status: 'pending', transactionHash: contract.deployTransaction.hash } },
+        });
+
+        expect(await journal.recover('tokenDeployer', ethers.provider)).to.be.true;
+        expect(journal.get('tokenDeployer')).to.include({ status: 'completed', address: contract.address });
+        expect(await journal.recover('tokenDeployer', ethers.provider)).to.be.false;
+    });
+
+    it('should reject recorded addresses whose code changed', async () => {
+        const contract = await tokenDeployerFactory.deploy().then((d) => d.deployed());
+        const journal = new DeploymentJournal({
+            steps: {
+                tokenDeployer: {
+                    status: 'completed',
+                    address: contract.address,
+                    codeHash: await getCodeHash(ethers.provider, contract.address),
+                },
+                gateway: { status: 'completed', address: ownerWallet.address, codeHash: ethers.constants.HashZero },
+            },
+        });
+
+        await journal.verify('tokenDeployer', ethers.provider);
+
+        const error = await journal.verify('gateway', ethers.provider).catch((err) => err);
+        expect(error.message).to.equal(
+            `Step gateway: code at ${ownerWallet.address} is empty, the journal recorded ${ethers.constants.HashZero}`,
+        );
+    });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers, network } = require('hardhat');
+const {
+    Wallet,
+    providers: { Web3Provider },
+    utils: { parseEther, hexZeroPad, hexValue },
+} = ethers;
+const { expect } = chai;
+
+const { startRpc: startTestRpc } = require('../utils');
+const { reportTransactions, decodeRevert, forkNetwork, getDryRunProvider } = require('../../scripts/dry-run');
+
+describe('DryRun', () => {
+    let ownerWallet;
+    let wallet;
+    let provider;
+    let reports;
+    let tokenFactory;
+
+    before(async () => {
+        [ownerWallet] = await ethers.getSigners();
+
+        reports = [];
+        provider = reportTransactions(new Web3Provider(network.provider), (report) => reports.push(report));
+        wallet = Wallet.createRandom().connect(provider);
+
+        await ownerWallet.sendTransaction({ to: wallet.address, value: parseEther('1') }).then((tx) => tx.wait());
+
+        tokenFactory = await ethers.getContractFactory('MintableCappedERC20', wallet);
+    });
+
+    beforeEach(() => {
+        reports.length = 0;
+    });
+
+    it('should report the events, gas used and state changes of sent transactions', async () => {
+        const token = await tokenFactory.deploy('Token', 'TKN', 18, 0).then((d) => d.deployed());
+        const receipt = await token.mint(ownerWallet.address, 100).then((tx) => tx.wait());
+
+        expect(reports).to.have.length(2);
+        expect(reports[0]).to.include({ contractAddress: token.address, status: 'success' });
+
+        const [, report] = reports;
+
+        expect(report).to.include({ transactionHash: receipt.transactionHash, status: 'success', gasUsed: receipt.gasUsed.toString() });
+        expect(report.events).to.deep.equal([
+            {
+                address: token.address,
+                event: 'Transfer',
+                args: { from: ethers.constants.AddressZero, to: ownerWallet.address, value: '100' },
+            },
+        ]);
+
+        const storage = report.stateChanges.storage.filter(({ address }) => address === token.address);
+
+        expect(storage).to.have.length(2);
+        expect(storage.map(({ to }) => to)).to.deep.equal([hexZeroPad('0x64', 32), hexZeroPad('0x64', 32)]);
+        expect(report.stateChanges.balances).to.have.length(1);
+        expect(report.stateChanges.balances[0]).to.include({ address: wallet.address });
+    });
+
+    it('should decode custom errors of reverting transactions', async () => {
+        const token = await tokenFactory
+            .connect(ownerWallet)
+            .deploy('Token', 'TKN', 18, 0)
+            .then((d) => d.deployed());
+
+        const err = await token
+            .connect(wallet)
+            .mint(wallet.address, 100)
+            .catch((err) => err);
+
+        expect(decodeRevert(err)).to.equal('NotOwner()');
+        expect(reports).to.have.length(1);
+        expect(reports[0]).to.include({ status: 'reverted', reason: 'NotOwner()' });
+    });
+
+    describe('forks', () => {
+        const rpcs = [];
+
+        const startRpc = async () => {
+            const rpc = await startTestRpc();
+            rpcs.push(rpc);
+
+            return rpc.url;
+        };
+
+        after(() => {
+            rpcs.forEach((rpc) => rpc.close());
+        });
+
+        it('should fork every chain of a multi-chain run separately', async () => {
+            const token = await tokenFactory
+                .connect(ownerWallet)
+                .deploy('Token', 'TKN', 18, 0)
+                .then((d) => d.deployed());
+
+            // forks of the latest block start a few blocks back to be safe from reorgs
+            await network.provider.send('hardhat_mine', [hexValue(64)]);
+
+            const urls = [await startRpc(), await startRpc()];
+            const providers = [];
+
+            for (const url of urls) {
+                providers.push(await getDryRunProvider(url, ''));
+            }
+
+            const sender = Wallet.createRandom().connect(providers[0]);
+            const recipient = Wallet.createRandom().address;
+
+            await providers[0].send('hardhat_setBalance', [sender.address, hexValue(parseEther('1'))]);
+            await sender.sendTransaction({ to: recipient, value: 1000 }).then((tx) => tx.wait());
+
+            for (const provider of providers) {
+                expect((await provider.getNetwork()).chainId).to.equal(network.config.chainId);
+                expect(await provider.getCode(token.address)).to.not.equal('0x');
+            }
+
+            expect(providers[0].reports).to.have.length(1);
+            expect(providers[0].reports[0]).to.include({ status: 'success', to: recipient });
+            expect(providers[1].reports).to.have.length(0);
+            expect((await providers[0].getBalance(recipient)).toNumber()).to.equal(1000);
+            expect((await providers[1].getBalance(recipient)).toNumber()).to.equal(0);
+            expect((await ethers.provider.getBalance(recipient)).toNumber()).to.equal(0);
+
+            // the chains of a run that share a url share its fork
+            expect((await (await forkNetwork(urls[0])).getBalance(recipient)).toNumber()).to.equal(1000);
+        });
+
+        it('should fork at the given block', async () => {
+            const url = await startRpc();
+            const blockNumber = (await ethers.provider.getBlockNumber()) - 40;
+            const provider = await forkNetwork(url, blockNumber);
+
+            expect(await provider.getBlockNumber()).to.equal(blockNumber);
+        });
+
+        it('should use a local node instead of forking when one is given', async () => {
+            const url = await startRpc();
+            const provider = await getDryRunProvider('http://127.0.0.1:1', url);
+
+            expect(await provider.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+            expect(provider.reports).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const {
+    utils: { Interface, keccak256, defaultAbiCoder },
+    constants: { AddressZero, HashZero },
+} = ethers;
+const { expect } = chai;
+const { sortBy } = require('lodash');
+
+const { CommandBatch } = require('../../scripts/command-batch');
+const { decodeExecuteInput, decodeCommandBatch } = require('../../scripts/execute-decoder');
+const { getAddresses, getRandomID, buildCommandBatch, getSignedWeightedExecuteInput } = require('../utils');
+
+describe('ExecuteDecoder', () => {
+    let operators;
+    let userWallet;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        operators = sortBy(wallets.slice(0, 2), (wallet) => wallet.address.toLowerCase());
+        userWallet = wallets[2];
+    });
+
+    it('should decode every command of a signed batch', async () => {
+        const payloadHash = keccak256('0x1234');
+        const batch = new CommandBatch(1)
+            .deployToken('Token', 'TKN', 18, 0, AddressZero, 1000)
+            .mintToken('TKN', userWallet.address, 100)
+            .burnToken('TKN', HashZero)
+            .approveContractCall('Chain', 'source', userWallet.address, payloadHash, HashZero, 1)
+            .approveContractCallWithMint('Chain', 'source', userWallet.address, payloadHash, 'TKN', 5, HashZero, 2)
+            .transferOperatorship([userWallet.address], [1], 1);
+        const input = await getSignedWeightedExecuteInput(batch.encode(), operators, [1, 2], 3, operators);
+
+        const { batch: decoded, proof } = decodeExecuteInput(input);
+
+        expect(decoded.chainId).to.equal('1');
+        expect(decoded.commands.map(({ name }) => name)).to.deep.equal(batch.commandNames);
+        expect(decoded.commands.map(({ commandID }) => commandID)).to.deep.equal(batch.commandIDs);
+        expect(decoded.commands.every(({ known, warning }) => known && !warning)).to.be.true;
+        expect(decoded.commands[0].params).to.deep.equal({
+            name: 'Token',
+            symbol: 'TKN',
+            decimals: 18,
+            cap: '0',
+            tokenAddress: AddressZero,
+            mintLimit: '1000',
+        });
+        expect(decoded.commands[4].params.amount).to.equal('5');
+        expect(decoded.commands[5].params.newOperators).to.deep.equal([userWallet.address]);
+
+        expect(proof.operators).to.deep.equal(getAddresses(operators));
+        expect(proof.weights).to.deep.equal(['1', '2']);
+        expect(proof.threshold).to.equal('3');
+        expect(proof.operatorsHash).to.equal(
+            keccak256(defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [getAddresses(operators), [1, 2], 3])),
+        );
+        expect(proof.signers).to.deep.equal(getAddresses(operators));
+    });
+
+    it('should decode execute calldata', async () => {
+        const batch = new CommandBatch(1).mintToken('TKN', userWallet.address, 100);
+        const input = await getSignedWeightedExecuteInput(batch.encode(), operators, [1, 1], 1, operators.slice(0, 1));
+        const calldata = new Interface(['function execute(bytes input)']).encodeFunctionData('execute', [input]);
+
+        expect(decodeExecuteInput(calldata)).to.deep.equal(decodeExecuteInput(input));
+    });
+
+    it('should flag commands that the gateway would skip or fail', () => {
+        const data = buildCommandBatch(1, [getRandomID(), getRandomID()], ['freezeToken', 'mintToken'], ['0x1234', '0x1234']);
+
+        const [unknown, malformed] = decodeCommandBatch(data).commands;
+
+        expect(unknown.known).to.be.false;
+        expect(unknown.warning).to.equal('unknown command, the gateway will skip it');
+        expect(malformed.known).to.be.true;
+        expect(malformed.warning).to.match(/^malformed params/);
+    });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers, network } = require('hardhat');
+const {
+    providers: { Web3Provider },
+} = ethers;
+const { expect } = chai;
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+const { snapshotGateway, SNAPSHOT_VERSION } = require('../../scripts/gateway-snapshot');
+const { queryFilterPaged } = require('../../scripts/utils');
+
+describe('GatewaySnapshot', () => {
+    let ownerWallet;
+    let userWallet;
+    let simulator;
+    let chain;
+    let provider;
+    let externalToken;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, userWallet] = wallets;
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2 });
+        chain = await simulator.createChain('chainA', ownerWallet);
+
+        externalToken = await ethers
+            .getContractFactory('MintableCappedERC20', ownerWallet)
+            .then((factory) => factory.deploy('External', 'EXT', 18, 0))
+            .then((d) => d.deployed());
+
+        await simulator.deployToken('Token', 'TKN', 18, 0, { mintLimit: 1e9 });
+        await simulator.deployToken('External', 'EXT', 18, 0, { tokenAddresses: { chainA: externalToken.address } });
+        await simulator.mintToken('chainA', 'TKN', userWallet.address, 1000);
+
+        provider = new Web3Provider(network.provider);
+    });
+
+    it('should snapshot the gateway configuration, tokens and operator epochs', async () => {
+        const snapshot = await snapshotGateway(provider, chain.gateway.address, { chain: 'chainA' });
+
+        expect(snapshot).to.include({
+            version: SNAPSHOT_VERSION,
+            chain: 'chainA',
+            chainId: network.config.chainId,
+            blockNumber: await provider.getBlockNumber(),
+            governance: await chain.gateway.governance(),
+            mintLimiter: await chain.gateway.mintLimiter(),
+            implementation: await chain.gateway.implementation(),
+            authModule: await chain.gateway.authModule(),
+        });
+        expect(snapshot.mintWindow.index).to.equal(Math.floor(snapshot.timestamp / 21600));
+        expect(snapshot.tokens).to.deep.equal([
+            { symbol: 'EXT', address: externalToken.address, type: 'External', mintLimit: '0', mintAmount: '0' },
+            {
+                symbol: 'TKN',
+                address: await chain.gateway.tokenAddresses('TKN'),
+                type: 'InternalBurnableFrom',
+                mintLimit: '1000000000',
+                mintAmount: '1000',
+            },
+        ]);
+        expect(snapshot.epochs).to.have.length(1);
+        expect(snapshot.epochs[0]).to.include({ epoch: 1, threshold: '2' });
+    });
+
+    it('should snapshot the state at an earlier block', async () => {
+        const { blockNumber } = await snapshotGateway(provider, chain.gateway.address);
+
+        await simulator.mintToken('chainA', 'TKN', userWallet.address, 500);
+
+        const before = await snapshotGateway(provider, chain.gateway.address, { blockNumber });
+        const after = await snapshotGateway(provider, chain.gateway.address);
+
+        expect(before.blockNumber).to.equal(blockNumber);
+        expect(before.tokens.find(({ symbol }) => symbol === 'TKN').mintAmount).to.equal('1000');
+        expect(after.tokens.find(({ symbol }) => symbol === 'TKN').mintAmount).to.equal('1500');
+    });
+
+    it('should query events in pages of blocks', async () => {
+        const ranges = [];
+        // rejects log queries over more than 3 blocks like a range limited RPC
+        const limitedProvider = new Web3Provider({
+            request({ method, params }) {
+                if (method === 'eth_getLogs') {
+                    const { fromBlock, toBlock } = params[0];
+                    ranges.push(toBlock - fromBlock + 1);
+
+                    if (toBlock - fromBlock + 1 > 3) return Promise.reject(new Error('block range too large'));
+                }
+
+                return network.provider.request({ method, params });
+            },
+        });
+        const gateway = chain.gateway.connect(limitedProvider);
+        const toBlock = await provider.getBlockNumber();
+
+        const err = await gateway.queryFilter(gateway.filters.TokenDeployed(), 0, toBlock).catch((err) => err);
+
+        expect(err.message).to.include('block range too large');
+
+        ranges.length = 0;
+        const events = await queryFilterPaged(gateway, gateway.filters.TokenDeployed(), 0, toBlock, 3);
+
+        expect(events.map(({ args }) => args.symbol)).to.deep.equal(['TKN', 'EXT']);
+        expect(ranges).to.have.length(Math.ceil((toBlock + 1) / 3));
+        expect(Math.max(...ranges)).to.equal(3);
+    });
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers, network } = require('hardhat');
+const {
+    BigNumber,
+    utils: { defaultAbiCoder },
+    constants: { AddressZero },
+} = ethers;
+const { expect } = chai;
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+
+describe('GMPSimulator', () => {
+    const symbolA = 'testTokenX';
+    const symbolB = 'testTokenY';
+    const decimals = 16;
+
+    let ownerWallet;
+    let userWallet;
+    let refundWallet;
+
+    let simulator;
+    let chainA;
+    let chainB;
+    let tokenFactory;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, userWallet, refundWallet] = wallets;
+
+        tokenFactory = await ethers.getContractFactory('MintableCappedERC20', ownerWallet);
+    });
+
+    const createChains = async (options) => {
+        const wallets = await ethers.getSigners();
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2, ...options });
+        chainA = await simulator.createChain('chainA', ownerWallet);
+        chainB = await simulator.createChain('chainB', ownerWallet);
+    };
+
+    // chainA calls a swap executable on chainB, which sends the swapped token back to chainA
+    const deploySwap = async () => {
+        const tokenA = await tokenFactory.deploy(symbolA, symbolA, decimals, 0).then((d) => d.deployed());
+        const tokenB = await tokenFactory.deploy(symbolB, symbolB, decimals, 0).then((d) => d.deployed());
+
+        await simulator.deployToken(symbolA, symbolA, decimals, 0, { tokenAddresses: { chainB: tokenA.address } });
+        await simulator.deployToken(symbolB, symbolB, decimals, 0, { tokenAddresses: { chainB: tokenB.address } });
+
+        const swapper = await ethers
+            .getContractFactory('DestinationChainTokenSwapper', ownerWallet)
+            .then((factory) => factory.deploy(tokenA.address, tokenB.address))
+            .then((d) => d.deployed());
+        const executable = await ethers
+            .getContractFactory('DestinationChainSwapExecutable', ownerWallet)
+            .then((factory) => factory.deploy(chainB.gateway.address, swapper.address))
+            .then((d) => d.deployed());
+        const caller = await ethers
+            .getContractFactory('SourceChainSwapCaller', ownerWallet)
+            .then((factory) => factory.deploy(chainA.gateway.address, chainA.gasService.address, 'chainB', executable.address))
+            .then((d) => d.deployed());
+
+        await tokenA.mint(chainB.gateway.address, 1e9).then((tx) => tx.wait(network.config.confirmations));
+        await tokenB.mint(swapper.address, 1e9).then((tx) => tx.wait(network.config.confirmations));
+        await simulator.mintToken('chainA', symbolA, userWallet.address, 1e9);
+
+        const sourceTokenA = tokenFactory.attach(await chainA.gateway.tokenAddresses(symbolA)).connect(userWallet);
+
+        await sourceTokenA.approve(caller.address, 1e9).then((tx) => tx.wait(network.config.confirmations));
+
+        return { tokenB, caller: caller.connect(userWallet), sourceTokenA };
+    };
+
+    it('should relay a contract call with token and the token sent back', async () => {
+        const swapAmount = 1e6;
+        const convertedAmount = 2 * swapAmount;
+
+        await createChains();
+
+        const { tokenB, caller } = await deploySwap();
+
+        const sourceTokenB = tokenFactory.attach(await chainA.gateway.tokenAddresses(symbolB));
+
+        await caller
+            .swapToken(symbolA, symbolB, swapAmount, userWallet.address.toString())
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        const [call] = await simulator.relay();
+
+        expect(call).to.include({
+            type: 'ContractCallWithToken',
+            sourceChain: 'chainA',
+            destinationChain: 'chainB',
+            sender: caller.address,
+            payload: defaultAbiCoder.encode(['string', 'string'], [symbolB, userWallet.address.toString()]),
+            symbol: symbolA,
+            amount: swapAmount.toString(),
+            status: 'executed',
+        });
+        expect(await tokenB.balanceOf(chainB.gateway.address)).to.equal(convertedAmount);
+
+        const [tokenSent] = await simulator.relay();
+
+        expect(tokenSent).to.include({
+            type: 'TokenSent',
+            sourceChain: 'chainB',
+            destinationChain: 'chainA',
+            destinationAddress: userWallet.address,
+            symbol: symbolB,
+            status: 'executed',
+        });
+        expect(await sourceTokenB.balanceOf(userWallet.address)).to.equal(convertedAmount);
+        expect(await simulator.relay()).to.be.empty;
+        expect(simulator.messages).to.have.length(2);
+    });
+
+    it('should report messages that cannot be relayed', async () => {
+        await createChains();
+        await simulator.deployToken(symbolA, symbolA, decimals, 0);
+        await simulator.mintToken('chainA', symbolA, userWallet.address, 1e9);
+
+        const gateway = chainA.gateway.connect(userWallet);
+        const token = tokenFactory.attach(await gateway.tokenAddresses(symbolA)).connect(userWallet);
+
+        await token.approve(gateway.address, 1).then((tx) => tx.wait(network.config.confirmations));
+
+        await gateway.sendToken('chainC', userWallet.address, symbolA, 1).then((tx) => tx.wait(network.config.confirmations));
+        await gateway.callContract('chainB', chainB.gateway.address, '0x1234').then((tx) => tx.wait(network.config.confirmations));
+
+        const [tokenSent, call] = await simulator.relay();
+
+        expect(tokenSent).to.include({ status: 'approve_failed', error: 'Unknown destination chain chainC' });
+        expect(call.status).to.equal('execute_failed');
+        expect(
+            await chainB.gateway.isContractCallApproved(
+                call.commandID,
+                'chainA',
+                userWallet.address,
+                chainB.gateway.address,
+                call.payloadHash,
+            ),
+        ).to.be.true;
+    });
+
+    it('should stall underfunded calls until gas is added and refund the excess', async () => {
+        await createChains({ minGasFees: { [AddressZero]: 1000 } });
+
+        const { caller } = await deploySwap();
+
+        await caller
+            .swapToken(symbolA, symbolB, 1e6, userWallet.address, { value: 600 })
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        const [call] = await simulator.relay();
+
+        expect(call.status).to.equal('insufficient_gas');
+        expect(call.payments.map(({ event, amount }) => [event, amount])).to.deep.equal([['NativeGasPaidForContractCallWithToken', '600']]);
+
+        const gasService = chainA.gasService.connect(userWallet);
+
+        await gasService
+            .addNativeGas(call.transactionHash, call.logIndex, userWallet.address, { value: 300 })
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        expect(await simulator.relay()).to.deep.equal([call]);
+        expect(call.status).to.equal('insufficient_gas');
+        expect(await chainB.gateway.isCommandExecuted(call.commandID)).to.be.false;
+
+        await gasService
+            .addNativeExpressGas(call.transactionHash, call.logIndex, refundWallet.address, { value: 500 })
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        const balance = await refundWallet.getBalance();
+
+        await simulator.relay();
+
+        expect(call.status).to.equal('executed');
+        expect(call.gasFee).to.deep.equal({ token: AddressZero, amount: '1000' });
+        expect(call.refunds).to.have.length(1);
+        expect(call.refunds[0]).to.include({ token: AddressZero, amount: '400', receiver: refundWallet.address });
+        expect(await refundWallet.getBalance()).to.equal(balance.add(400));
+    });
+
+    it('should accept gas paid in tokens', async () => {
+        await createChains();
+
+        const { caller, sourceTokenA } = await deploySwap();
+
+        simulator.minGasFees = { [AddressZero]: BigNumber.from(1000), [sourceTokenA.address]: BigNumber.from(50) };
+
+        await caller
+            .swapToken(symbolA, symbolB, 1e6, userWallet.address, { value: 600 })
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        const [call] = await simulator.relay();
+
+        await sourceTokenA.approve(chainA.gasService.address, 80).then((tx) => tx.wait(network.config.confirmations));
+        await chainA.gasService
+            .connect(userWallet)
+            .addGas(call.transactionHash, call.logIndex, sourceTokenA.address, 80, userWallet.address)
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        const balance = await sourceTokenA.balanceOf(userWallet.address);
+
+        await simulator.relay();
+
+        expect(call.status).to.equal('executed');
+        expect(call.gasFee).to.deep.equal({ token: sourceTokenA.address, amount: '50' });
+        expect(call.refunds.map(({ token, amount }) => [token, amount])).to.deep.equal([
+            [AddressZero, '600'],
+            [sourceTokenA.address, '30'],
+        ]);
+        expect(await sourceTokenA.balanceOf(userWallet.address)).to.equal(balance.add(30));
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers, network } = require('hardhat');
+const { expect } = chai;
+const InterchainGovernance = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/governance/InterchainGovernance.sol/InterchainGovernance.json');
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+const { getGovernanceContract, getProposalBundle } = require('../../scripts/governance-proposal');
+const { getPayloadAndProposalHash, getBytecodeHash } = require('../utils');
+
+describe('GovernanceProposal', () => {
+    const timeDelay = 12 * 60 * 60;
+    const minimumTimeDelay = 60 * 60;
+
+    let ownerWallet;
+    let governanceWallet;
+    let simulator;
+    let gateway;
+    let governance;
+    let newImplementation;
+    let calldata;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, governanceWallet] = wallets;
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2 });
+        await simulator.createChain('Governance', ownerWallet);
+        const chain = await simulator.createChain('Target', ownerWallet);
+        gateway = chain.gateway;
+
+        governance = await ethers
+            .getContractFactory(InterchainGovernance.abi, InterchainGovernance.bytecode, ownerWallet)
+            .then((factory) => factory.deploy(gateway.address, 'Governance', governanceWallet.address, minimumTimeDelay))
+            .then((d) => d.deployed());
+
+        await gateway.transferGovernance(governance.address).then((tx) => tx.wait(network.config.confirmations));
+
+        newImplementation = await ethers
+            .getContractFactory('AxelarGateway', ownerWallet)
+            .then((factory) => factory.deploy(chain.auth.address, gateway.tokenDeployer()))
+            .then((d) => d.deployed());
+
+        calldata = gateway.interface.encodeFunctionData('upgrade', [
+            newImplementation.address,
+            await getBytecodeHash(newImplementation),
+            '0x',
+        ]);
+    });
+
+    it('should build the proposal the same way as the governance tests', async () => {
+        const { timestamp } = await ethers.provider.getBlock('latest');
+        const eta = timestamp + timeDelay;
+        const bundle = await getProposalBundle(getGovernanceContract(governance.address, ethers.provider), {
+            destinationChain: 'Target',
+            target: gateway.address,
+            calldata,
+            eta,
+        });
+        const [payload, proposalHash] = await getPayloadAndProposalHash(0, gateway.address, 0, calldata, timeDelay);
+
+        expect(bundle).to.include({ proposalHash, target: gateway.address, nativeValue: '0', eta });
+        expect(bundle.gmp).to.include({
+            sourceChain: 'Governance',
+            sourceAddress: governanceWallet.address,
+            destinationChain: 'Target',
+            destinationAddress: governance.address,
+            payload,
+        });
+        expect(bundle.timeline.executableAfter.timestamp).to.equal(eta);
+        expect(bundle.timeline.minimumTimeLockDelay).to.equal(minimumTimeDelay);
+    });
+
+    it('should upgrade the gateway once the relayed proposal is executable', async () => {
+        const bundle = await getProposalBundle(getGovernanceContract(governance.address, ethers.provider), {
+            destinationChain: 'Target',
+            target: gateway.address,
+            calldata,
+        });
+        const governanceGateway = simulator.getChain('Governance').gateway.connect(governanceWallet);
+
+        await governanceGateway
+            .callContract(bundle.gmp.destinationChain, bundle.gmp.destinationAddress, bundle.gmp.payload)
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        const [message] = await simulator.relay();
+
+        expect(message.status).to.equal('executed');
+
+        const eta = await governance.getProposalEta(gateway.address, calldata, 0);
+
+        expect(eta.toNumber()).to.be.at.least(bundle.timeline.executableAfter.timestamp);
+
+        await network.provider.send('evm_increaseTime', [minimumTimeDelay]);
+        await network.provider.send('evm_mine');
+
+        await ownerWallet
+            .sendTransaction({ to: bundle.execution.governance, data: bundle.execution.calldata, value: bundle.execution.value })
+            .then((tx) => tx.wait(network.config.confirmations));
+
+        expect(await gateway.implementation()).to.equal(newImplementation.address);
+    });
+});
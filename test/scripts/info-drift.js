@@ -0,0 +1,123 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const { Wallet } = ethers;
+const { expect } = chai;
+const { deployUpgradable } = require('@axelar-network/axelar-gmp-sdk-solidity');
+const ConstAddressDeployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/ConstAddressDeployer.sol/ConstAddressDeployer.json');
+const AxelarGasService = require('../../artifacts/contracts/gas-service/AxelarGasService.sol/AxelarGasService.json');
+const AxelarGasServiceProxy = require('../../artifacts/contracts/gas-service/AxelarGasServiceProxy.sol/AxelarGasServiceProxy.json');
+const AxelarDepositService = require('../../artifacts/contracts/deposit-service/AxelarDepositService.sol/AxelarDepositService.json');
+const AxelarDepositServiceProxy = require('../../artifacts/contracts/deposit-service/AxelarDepositServiceProxy.sol/AxelarDepositServiceProxy.json');
+
+const { getChainDrift, applyDrift } = require('../../scripts/info-drift');
+
+describe('InfoDrift', () => {
+    let ownerWallet;
+    let collector;
+    let gasService;
+    let depositService;
+
+    before(async () => {
+        [ownerWallet, collector] = await ethers.getSigners();
+
+        const deployer = await ethers
+            .getContractFactory(ConstAddressDeployer.abi, ConstAddressDeployer.bytecode, ownerWallet)
+            .then((factory) => factory.deploy())
+            .then((d) => d.deployed());
+
+        gasService = await deployUpgradable(
+            deployer.address,
+            ownerWallet,
+            AxelarGasService,
+            AxelarGasServiceProxy,
+            [collector.address],
+            [],
+            '0x',
+            'AxelarGasService',
+        );
+        depositService = await deployUpgradable(
+            deployer.address,
+            ownerWallet,
+            AxelarDepositService,
+            AxelarDepositServiceProxy,
+            [collector.address, '', collector.address],
+            [],
+            '0x',
+            'AxelarDepositService',
+        );
+    });
+
+    const getChain = async () => ({
+        name: 'Hardhat',
+        id: 'hardhat',
+        chainId: 31337,
+        rpc: 'http://127.0.0.1:8545',
+        tokenSymbol: 'ETH',
+        AxelarGasService: {
+            salt: 'AxelarGasService',
+            address: gasService.address,
+            implementation: await gasService.implementation(),
+            deployer: ownerWallet.address,
+            collector: collector.address,
+        },
+        AxelarDepositService: {
+            salt: 'AxelarDepositService',
+            address: depositService.address,
+            deployer: ownerWallet.address,
+            wrappedSymbol: '',
+            refundIssuer: collector.address,
+        },
+    });
+
+    it('should match an info file that reflects the deployments', async () => {
+        const rows = await getChainDrift(ethers.provider, await getChain());
+
+        expect(rows.filter(({ status }) => status !== 'ok')).to.deep.equal([
+            {
+                chain: 'Hardhat',
+                contract: 'AxelarDepositService',
+                field: 'implementation',
+                expected: undefined,
+                actual: await depositService.implementation(),
+                status: 'missing',
+            },
+        ]);
+    });
+
+    it('should report drift and rewrite the observed values', async () => {
+        const chain = await getChain();
+        const unknown = Wallet.createRandom().address;
+
+        chain.chainId = 1;
+        chain.AxelarGasService.collector = unknown;
+        chain.AxelarDepositService.deployer = unknown;
+        chain.AxelarGateway = { address: unknown };
+
+        const rows = await getChainDrift(ethers.provider, chain);
+        const issues = rows.filter(({ status }) => status !== 'ok').map(({ contract, field, status }) => [contract, field, status]);
+
+        expect(issues).to.deep.equal([
+            [undefined, 'chainId', 'drift'],
+            ['AxelarGateway', 'address', 'error'],
+            ['AxelarGasService', 'collector', 'drift'],
+            ['AxelarDepositService', 'implementation', 'missing'],
+            ['AxelarDepositService', 'owner', 'drift'],
+        ]);
+
+        const chains = [chain];
+
+        expect(applyDrift(chains, rows)).to.have.length(3);
+        expect(chain.chainId).to.equal(1);
+        expect(chain.AxelarGasService.collector).to.equal(collector.address);
+        expect(chain.AxelarDepositService).to.include({
+            owner: ownerWallet.address,
+            implementation: await depositService.implementation(),
+        });
+
+        const after = await getChainDrift(ethers.provider, { ...chain, chainId: 31337, AxelarGateway: undefined });
+
+        expect(after.every(({ status }) => status === 'ok')).to.equal(true);
+    });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const chai = require('chai');
+const http = require('http');
+const { ethers } = require('hardhat');
+const { Wallet } = ethers;
+const { expect } = chai;
+
+const { FileKeySource, LcdKeySource, getKeySource } = require('../../scripts/key-source');
+const { getDeployConfig } = require('../../scripts/deploy');
+const { getRecipe } = require('../../scripts/deploy-recipes');
+
+describe('KeySource', () => {
+    const wallets = Array.from({ length: 3 }, () => Wallet.createRandom());
+    const addresses = wallets.map(({ address }) => address);
+    const sorted = [...addresses].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+
+    // the x and y coordinates of the uncompressed public key, as returned for tss keys
+    const getKey = ({ publicKey }) => ({ x: publicKey.slice(4, 68), y: publicKey.slice(68) });
+
+    it('should read fixed keys from a file source', async () => {
+        const keySource = new FileKeySource({
+            Ethereum: {
+                operators: { addresses, weights: [1, 2, 3], threshold: 4 },
+                admins: addresses.slice(0, 1),
+                gateway: addresses[0],
+            },
+        });
+
+        const { addresses: operators, weights, threshold } = await keySource.getEVMAddresses('ethereum');
+
+        expect(operators).to.deep.equal(sorted);
+        expect(weights).to.deep.equal(sorted.map((address) => addresses.indexOf(address) + 1));
+        expect(threshold).to.equal(4);
+        expect(await keySource.getAdminAddresses('Ethereum')).to.deep.equal(addresses.slice(0, 1));
+        expect(await keySource.getProxy('Ethereum')).to.equal(addresses[0]);
+
+        const err = await keySource.getOwners('Ethereum').catch((err) => err);
+
+        expect(err.message).to.equal('No owners for Ethereum in the key file');
+    });
+
+    it('should query the keys from an LCD endpoint', async () => {
+        const responses = {
+            '/axelar/multisig/v1beta1/key_id/ethereum': { key_id: 'ethereum-1' },
+            '/axelar/evm/v1beta1/address/ethereum?key_id=ethereum-1': {
+                addresses: addresses.map((address, i) => ({ address, weight: String(i + 1) })),
+                threshold: '4',
+                key_id: 'ethereum-1',
+            },
+            '/axelar/tss/v1beta1/key_id/ethereum/master': { key_id: 'master-1' },
+            '/axelar/tss/v1beta1/key/master-1': { multisig_key: { key: wallets.map(getKey), threshold: '2' } },
+            '/axelar/tss/v1beta1/external_key_id/ethereum': { key_ids: ['external-1'] },
+            '/axelar/tss/v1beta1/key/external-1': { ecdsa_key: { key: getKey(wallets[2]) } },
+            '/axelar/evm/v1beta1/gateway_address/ethereum': { address: addresses[1] },
+        };
+        const server = http.createServer((req, res) => {
+            const response = responses[req.url];
+
+            res.statusCode = response ? 200 : 404;
+            res.end(JSON.stringify(response || { message: 'not found' }));
+        });
+
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const keySource = new LcdKeySource(`http://127.0.0.1:${server.address().port}/`);
+
+            expect(await keySource.getEVMAddresses('ethereum')).to.deep.equal({
+                addresses: sorted,
+                weights: sorted.map((address) => addresses.indexOf(address) + 1),
+                threshold: 4,
+            });
+            expect(await keySource.getOwners('ethereum')).to.deep.equal({ addresses: sorted, threshold: 2 });
+            expect(await keySource.getAdminAddresses('ethereum')).to.deep.equal([addresses[2]]);
+            expect(await keySource.getProxy('ethereum')).to.equal(addresses[1]);
+
+            const err = await keySource.getOperators('ethereum').catch((err) => err);
+
+            expect(err.message).to.match(/responded with 404/);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('should reject LCD responses that are not JSON or take too long', async () => {
+        const server = http.createServer((req, res) => {
+            if (req.url.includes('gateway_address')) return; // never answers
+
+            res.statusCode = 200;
+            res.end('<html>Bad Gateway</html>');
+        });
+
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const keySource = new LcdKeySource(`http://127.0.0.1:${server.address().port}`, { timeout: 200 });
+
+            const invalid = await keySource.getEVMAddresses('ethereum').catch((err) => err);
+            const stuck = await keySource.getProxy('ethereum').catch((err) => err);
+
+            expect(invalid.message).to.match(/responded with invalid JSON: <html>Bad Gateway<\/html>/);
+            expect(stuck.message).to.match(/timed out after 200ms/);
+        } finally {
+            server.closeAllConnections();
+            server.close();
+        }
+    });
+
+    it('should pick a single key source from the script options', async () => {
+        expect(getKeySource({})).to.be.undefined;
+        expect(getKeySource({ lcd: 'http://127.0.0.1:1317' })).to.be.instanceOf(LcdKeySource);
+        expect(() => getKeySource({ prefix: 'sh -c', lcd: 'http://127.0.0.1:1317' })).to.throw('Only one of');
+    });
+
+    it('should resolve the deploy config through an injected key source', async () => {
+        const keySource = new FileKeySource({ test: { operators: { addresses, weights: [1, 1, 1], threshold: 2 } } });
+        const config = await getDeployConfig(getRecipe('v6.x'), { id: 'test' }, {}, addresses[0], keySource);
+
+        expect(config.operators).to.deep.equal({ addresses: sorted, weights: [1, 1, 1], threshold: 2 });
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const { expect } = chai;
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+const { getMintLimitChanges, getMintLimitBatches, setMintLimits } = require('../../scripts/mint-limits');
+
+describe('MintLimits', () => {
+    let ownerWallet;
+    let userWallet;
+    let simulator;
+    let gateway;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, userWallet] = wallets;
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2 });
+        ({ gateway } = await simulator.createChain('chainA', ownerWallet));
+
+        await simulator.deployToken('USD Coin', 'USDC', 6, 0, { mintLimit: 1e12 });
+        await simulator.deployToken('Wrapped Ether', 'WETH', 18, 0);
+        await simulator.deployToken('Token', 'TKN', 8, 0);
+    });
+
+    it('should compare the desired limits in token units with the current limits', async () => {
+        const changes = await getMintLimitChanges(gateway, { USDC: '1000000', WETH: '250.5' });
+
+        expect(changes).to.deep.equal([
+            {
+                symbol: 'USDC',
+                decimals: 6,
+                current: '1000000.0',
+                desired: '1000000.0',
+                currentLimit: '1000000000000',
+                desiredLimit: '1000000000000',
+                changed: false,
+            },
+            {
+                symbol: 'WETH',
+                decimals: 18,
+                current: '0.0',
+                desired: '250.5',
+                currentLimit: '0',
+                desiredLimit: '250500000000000000000',
+                changed: true,
+            },
+        ]);
+
+        const err = await getMintLimitChanges(gateway, { UNKNOWN: '1' }).catch((err) => err);
+
+        expect(err.message).to.match(/Token UNKNOWN is not deployed/);
+    });
+
+    it('should batch the changed limits and set them as the mint limiter', async () => {
+        const changes = await getMintLimitChanges(gateway, { USDC: '1000000', WETH: '250.5', TKN: '0.5' });
+        const batches = getMintLimitBatches(gateway, changes, 1);
+
+        expect(batches.map(({ symbols }) => symbols)).to.deep.equal([['WETH'], ['TKN']]);
+        expect(gateway.interface.decodeFunctionData('setTokenMintLimits', batches[1].data).symbols).to.deep.equal(['TKN']);
+
+        const err = await setMintLimits(gateway.connect(userWallet), batches).catch((err) => err);
+
+        expect(err.message).to.match(/is neither the mint limiter/);
+
+        await setMintLimits(gateway.connect(ownerWallet), batches);
+
+        expect(await gateway.tokenMintLimit('WETH')).to.equal('250500000000000000000');
+        expect(await gateway.tokenMintLimit('TKN')).to.equal(50000000);
+        expect(getMintLimitBatches(gateway, await getMintLimitChanges(gateway, { WETH: '250.5', TKN: '0.5' }))).to.be.empty;
+        expect(() => getMintLimitBatches(gateway, changes, NaN)).to.throw('Invalid batch size NaN, expected a positive integer');
+        expect(() => getMintLimitBatches(gateway, changes, 0)).to.throw('Invalid batch size 0');
+    });
+});
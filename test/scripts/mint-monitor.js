@@ -0,0 +1,97 @@
+'use strict';
+
+const chai = require('chai');
+const http = require('http');
+const { ethers } = require('hardhat');
+const { expect } = chai;
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+const { parseThresholds, getMintUsage, getAlerts, postWebhook } = require('../../scripts/mint-monitor');
+
+describe('MintMonitor', () => {
+    const thresholds = [0.5, 0.8, 0.95];
+
+    let ownerWallet;
+    let userWallet;
+    let simulator;
+    let gateway;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, userWallet] = wallets;
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2 });
+        ({ gateway } = await simulator.createChain('chainA', ownerWallet));
+
+        await simulator.deployToken('Token', 'TKN', 18, 0, { mintLimit: 1000 });
+        await simulator.deployToken('Unlimited', 'UNL', 18, 0);
+        await simulator.mintToken('chainA', 'TKN', userWallet.address, 850);
+    });
+
+    it('should report the mint usage of the current window and when it resets', async () => {
+        const { timestamp } = await ethers.provider.getBlock('latest');
+        const usage = await getMintUsage(gateway, ['TKN', 'UNL']);
+
+        expect(usage).to.have.length(1);
+        expect(usage[0]).to.include({ symbol: 'TKN', mintAmount: '850', mintLimit: '1000', usage: 0.85 });
+        expect(usage[0].resetsIn).to.equal((Math.floor(timestamp / 21600) + 1) * 21600 - timestamp);
+    });
+
+    it('should alert once per crossed threshold and window', async () => {
+        const alerted = new Set();
+        const usage = await getMintUsage(gateway, ['TKN']);
+
+        const alerts = getAlerts('chainA', usage, thresholds, alerted);
+
+        expect(alerts).to.have.length(1);
+        expect(alerts[0]).to.include({ alert: 'mint_usage', chain: 'chainA', symbol: 'TKN', threshold: 0.8 });
+        expect(getAlerts('chainA', usage, thresholds, alerted)).to.be.empty;
+
+        await simulator.mintToken('chainA', 'TKN', userWallet.address, 100);
+
+        const [alert] = getAlerts('chainA', await getMintUsage(gateway, ['TKN']), thresholds, alerted);
+
+        expect(alert).to.include({ threshold: 0.95, mintAmount: '950' });
+    });
+
+    it('should forget the alerts of past windows', () => {
+        const alerted = new Set();
+        const token = { symbol: 'TKN', usage: 0.9, window: 1 };
+
+        getAlerts('chainA', [token], thresholds, alerted);
+        getAlerts('chainB', [token], thresholds, alerted);
+        expect(getAlerts('chainA', [{ ...token, window: 2 }], thresholds, alerted)).to.have.length(1);
+
+        expect([...alerted]).to.deep.equal(['chainB:TKN:1:0.8', 'chainA:TKN:2:0.8']);
+    });
+
+    it('should read thresholds as ratios or percentages and reject the ones out of range', () => {
+        expect(parseThresholds('0.5,80,100')).to.deep.equal([0.5, 0.8, 1]);
+
+        for (const thresholds of ['0', '-0.5', '101', 'NaN', 'Infinity', '0.5,', 'half']) {
+            expect(() => parseThresholds(thresholds)).to.throw('expected a number in (0, 100]');
+        }
+    });
+
+    it('should post alerts to a webhook', async () => {
+        const received = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => (body += chunk));
+            req.on('end', () => {
+                received.push(JSON.parse(body));
+                res.end();
+            });
+        });
+
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            await postWebhook(`http://127.0.0.1:${server.address().port}/alerts`, { alert: 'mint_usage', symbol: 'TKN' });
+        } finally {
+            server.close();
+        }
+
+        expect(received).to.deep.equal([{ alert: 'mint_usage', symbol: 'TKN' }]);
+    });
+});
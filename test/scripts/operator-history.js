@@ -0,0 +1,80 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const {
+    utils: { defaultAbiCoder },
+} = ethers;
+const { expect } = chai;
+
+const { getAuthContract, getOperatorsHash } = require('../../scripts/proof-validator');
+const { getOperatorHistory } = require('../../scripts/operator-history');
+
+describe('OperatorHistory', () => {
+    const epochCount = 18;
+
+    let wallets;
+    let auth;
+    let deployBlock;
+
+    const getOperatorSet = (i) => {
+        const operators = [wallets[i % wallets.length].address];
+
+        return { operators, weights: [i + 1], threshold: i + 1 };
+    };
+
+    const encode = ({ operators, weights, threshold }) =>
+        defaultAbiCoder.encode(['address[]', 'uint256[]', 'uint256'], [operators, weights, threshold]);
+
+    before(async () => {
+        wallets = await ethers.getSigners();
+
+        const deployed = await ethers
+            .getContractFactory('AxelarAuthWeighted', wallets[0])
+            .then((factory) => factory.deploy(Array.from({ length: epochCount }, (_, i) => encode(getOperatorSet(i)))))
+            .then((d) => d.deployed());
+
+        deployBlock = deployed.deployTransaction.blockNumber;
+        auth = getAuthContract(deployed.address, wallets[0]);
+    });
+
+    it('should replay the operator epochs and mark the expired ones', async () => {
+        const history = await getOperatorHistory(auth, { fromBlock: deployBlock });
+
+        expect(history.currentEpoch).to.equal(epochCount);
+        expect(history.epochs).to.have.length(epochCount);
+        expect(history.epochs.map(({ status }) => status)).to.deep.equal([
+            'expired',
+            'expired',
+            ...Array(epochCount - 3).fill('valid'),
+            'current',
+        ]);
+
+        const { operators, weights, threshold } = getOperatorSet(4);
+
+        expect(history.epochs[4]).to.deep.include({
+            epoch: 5,
+            operators,
+            weights: ['5'],
+            threshold: '5',
+            totalWeight: '5',
+            operatorsHash: getOperatorsHash(operators, weights, threshold),
+        });
+    });
+
+    it('should show the operators that could sign at an earlier block', async () => {
+        const { blockNumber } = await getOperatorHistory(auth, { fromBlock: deployBlock });
+
+        await auth.transferOperatorship(encode(getOperatorSet(epochCount))).then((tx) => tx.wait());
+
+        const before = await getOperatorHistory(auth, { fromBlock: deployBlock, blockNumber });
+        const after = await getOperatorHistory(auth, { fromBlock: deployBlock });
+
+        expect(before.currentEpoch).to.equal(epochCount);
+        expect(before.epochs).to.have.length(epochCount);
+        expect(before.epochs[2].status).to.equal('valid');
+        expect(after.currentEpoch).to.equal(epochCount + 1);
+        expect(after.epochs[2].status).to.equal('expired');
+        expect(after.epochs[epochCount].status).to.equal('current');
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const { Wallet } = ethers;
+const { expect } = chai;
+const { deployUpgradable } = require('@axelar-network/axelar-gmp-sdk-solidity');
+const ConstAddressDeployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/ConstAddressDeployer.sol/ConstAddressDeployer.json');
+const AxelarGasService = require('../../artifacts/contracts/gas-service/AxelarGasService.sol/AxelarGasService.json');
+const AxelarGasServiceProxy = require('../../artifacts/contracts/gas-service/AxelarGasServiceProxy.sol/AxelarGasServiceProxy.json');
+
+const { predictAddresses } = require('../../scripts/predict-address');
+const { getSalt } = require('../../scripts/deploy-upgradable');
+
+describe('PredictAddress', () => {
+    let ownerWallet;
+    let chains;
+
+    const deployConstAddressDeployer = () =>
+        ethers
+            .getContractFactory(ConstAddressDeployer.abi, ConstAddressDeployer.bytecode, ownerWallet)
+            .then((factory) => factory.deploy())
+            .then((d) => d.deployed());
+
+    before(async () => {
+        [ownerWallet] = await ethers.getSigners();
+
+        const shared = (await deployConstAddressDeployer()).address;
+        const other = (await deployConstAddressDeployer()).address;
+
+        chains = [
+            { name: 'ChainA', constAddressDeployer: shared },
+            { name: 'ChainB', constAddressDeployer: shared, AxelarGasService: { address: Wallet.createRandom().address } },
+            { name: 'ChainC', constAddressDeployer: other },
+            { name: 'ChainD', constAddressDeployer: shared },
+            { name: 'ChainE', constAddressDeployer: Wallet.createRandom().address },
+        ];
+    });
+
+    it('should use an env suffixed salt on devnets', async () => {
+        expect(getSalt('mainnet', 'AxelarGasService')).to.equal('AxelarGasService');
+        expect(getSalt('devnet-amplifier', 'AxelarGasService')).to.equal('AxelarGasService-devnet-amplifier');
+    });
+
+    it('should flag the chains that would not get the common address', async () => {
+        const deployed = await deployUpgradable(
+            chains[0].constAddressDeployer,
+            ownerWallet,
+            AxelarGasService,
+            AxelarGasServiceProxy,
+            [ownerWallet.address],
+            [],
+            '0x',
+            'AxelarGasService',
+        );
+
+        const deployment = { contractName: 'AxelarGasService', proxyJson: AxelarGasServiceProxy, salt: 'AxelarGasService' };
+        const getProvider = async () => ethers.provider;
+        const rows = await predictAddresses(chains, { ...deployment, deployer: ownerWallet.address }, { getProvider });
+
+        expect(rows.map(({ chain, status }) => [chain, status])).to.deep.equal([
+            ['ChainA', 'deployed'],
+            ['ChainB', 'mismatch'],
+            ['ChainC', 'differs'],
+            ['ChainD', 'deployed'],
+            ['ChainE', 'error'],
+        ]);
+        expect(rows[0].predicted).to.equal(deployed.address);
+        expect(rows[2].predicted).to.not.equal(deployed.address);
+        expect(rows[4].error).to.match(/No ConstAddressDeployer at/);
+
+        const other = await predictAddresses(
+            chains.slice(0, 1),
+            { ...deployment, deployer: Wallet.createRandom().address },
+            { getProvider },
+        );
+
+        expect(other[0]).to.include({ status: 'free', deployed: false });
+    });
+});
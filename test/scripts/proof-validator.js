@@ -0,0 +1,148 @@
+'use strict';
+
+const chai = require('chai');
+const { sortBy } = require('lodash');
+const { ethers } = require('hardhat');
+const {
+    utils: { arrayify, keccak256 },
+} = ethers;
+const { expect } = chai;
+
+const { CommandBatch } = require('../../scripts/command-batch');
+const { getWeightedProof, signBatch } = require('../../scripts/batch-signer');
+const { getBatchMessageHash } = require('../../scripts/execute-decoder');
+const {
+    OLD_KEY_RETENTION,
+    getAuthContract,
+    getOperatorEpochs,
+    validateProof,
+    validateExecuteInput,
+} = require('../../scripts/proof-validator');
+const { getChainId, getAddresses, getWeightedAuthDeployParam, getTransferWeightedOperatorshipCommand } = require('../utils');
+
+describe('ProofValidator', () => {
+    const data = '0x1234';
+    const messageHash = getBatchMessageHash(data);
+
+    let wallets;
+    let operators;
+    let auth;
+
+    const signWith = (signers, weights = [1, 1, 1], threshold = 2) =>
+        signBatch(data, { operators: getAddresses(operators), weights, threshold }, signers);
+
+    const signUnsorted = async (signers, weights = [1, 1, 1], threshold = 2) =>
+        getWeightedProof(
+            getAddresses(operators),
+            weights,
+            threshold,
+            await Promise.all(signers.map((signer) => signer.signMessage(arrayify(keccak256(data))))),
+        );
+
+    const expectRejection = async (proof, error, reason) => {
+        const result = await validateProof(auth, messageHash, proof);
+
+        expect(result.valid).to.be.false;
+        expect(result.errors[0].error).to.equal(error);
+        expect(result.errors[0].reason).to.match(reason);
+
+        await expect(auth.callStatic.validateProof(messageHash, proof)).to.be.revertedWithCustomError(auth, error);
+    };
+
+    beforeEach(async () => {
+        wallets = await ethers.getSigners();
+        operators = sortBy(wallets.slice(0, 3), (wallet) => wallet.address.toLowerCase());
+
+        const authFactory = await ethers.getContractFactory('AxelarAuthWeighted', wallets[0]);
+        const deployed = await authFactory
+            .deploy(getWeightedAuthDeployParam([getAddresses(operators)], [[1, 1, 1]], [2]))
+            .then((d) => d.deployed());
+
+        auth = getAuthContract(deployed.address, wallets[0]);
+    });
+
+    it('should accept a valid proof from the current operators', async () => {
+        const proof = await signWith(operators.slice(0, 2));
+        const result = await validateProof(auth, messageHash, proof);
+
+        expect(result.valid).to.be.true;
+        expect(result.isCurrentOperators).to.be.true;
+        expect(result.operatorsEpoch).to.equal(1);
+        expect(result.signedWeight).to.equal('2');
+        expect(await auth.callStatic.validateProof(messageHash, proof)).to.be.true;
+    });
+
+    it('should explain unknown operator sets', async () => {
+        await expectRejection(await signWith(operators, [1, 1, 1], 3), 'InvalidOperators', /is unknown to the auth module$/);
+
+        const result = await validateProof(auth, messageHash, await signWith(operators, [1, 1, 2], 3), await getOperatorEpochs(auth));
+        expect(result.errors[0].reason).to.match(/same operators are registered for epoch 1 with different weights or threshold$/);
+    });
+
+    it('should explain expired operator sets', async () => {
+        const proof = await signWith(operators.slice(0, 2));
+
+        for (let i = 0; i < OLD_KEY_RETENTION; ++i) {
+            await auth
+                .transferOperatorship(getTransferWeightedOperatorshipCommand([wallets[3].address], [i + 1], i + 1))
+                .then((tx) => tx.wait());
+        }
+
+        await expectRejection(proof, 'InvalidOperators', /operators of epoch 1 expired/);
+
+        const epochs = await getOperatorEpochs(auth);
+        expect(epochs.map(({ epoch }) => epoch)).to.deep.equal([...Array(OLD_KEY_RETENTION + 1).keys()].map((i) => i + 1));
+        expect(epochs[0].operators).to.deep.equal(getAddresses(operators));
+        expect(epochs[OLD_KEY_RETENTION].threshold).to.equal(OLD_KEY_RETENTION.toString());
+    });
+
+    it('should warn about operators that are valid but not current', async () => {
+        const proof = await signWith(operators.slice(0, 2));
+        await auth.transferOperatorship(getTransferWeightedOperatorshipCommand([wallets[3].address], [1], 1)).then((tx) => tx.wait());
+
+        const result = await validateProof(auth, messageHash, proof);
+
+        expect(result.valid).to.be.true;
+        expect(result.isCurrentOperators).to.be.false;
+        expect(result.warnings).to.deep.equal(['operators of epoch 1 are not the current operators of epoch 2']);
+    });
+
+    it('should explain unsorted signatures', async () => {
+        await expectRejection(await signUnsorted([operators[1], operators[0]]), 'MalformedSigners', /is out of order/);
+    });
+
+    it('should explain duplicate signers', async () => {
+        await expectRejection(await signUnsorted([operators[0], operators[0]]), 'MalformedSigners', /is a duplicate$/);
+    });
+
+    it('should explain signers that are not operators', async () => {
+        await expectRejection(await signUnsorted([wallets[3]]), 'MalformedSigners', /is not an operator$/);
+    });
+
+    it('should explain a low signatures weight', async () => {
+        await expectRejection(await signUnsorted([operators[0]]), 'LowSignaturesWeight', /signed weight 1 is below the threshold 2$/);
+    });
+
+    it('should validate the chain ID and operatorship transfers of an execute input', async () => {
+        const operatorSet = { operators: getAddresses(operators), weights: [1, 1, 1], threshold: 2 };
+        const batch = new CommandBatch(await getChainId()).transferOperatorship([wallets[3].address], [1], 1);
+        const input = batch.getExecuteInput(await signBatch(batch.encode(), operatorSet, operators.slice(0, 2)));
+
+        expect((await validateExecuteInput(auth, input)).valid).to.be.true;
+
+        await auth.transferOperatorship(getTransferWeightedOperatorshipCommand([wallets[3].address], [1], 1)).then((tx) => tx.wait());
+
+        expect((await validateExecuteInput(auth, input)).warnings).to.include(
+            `transferOperatorship command ${batch.commandIDs[0]} will be skipped`,
+        );
+
+        const otherChainBatch = new CommandBatch(1).burnToken('TKN', batch.commandIDs[0]);
+        const otherChainInput = otherChainBatch.getExecuteInput(
+            await signBatch(otherChainBatch.encode(), operatorSet, operators.slice(0, 2)),
+        );
+        const result = await validateExecuteInput(auth, otherChainInput);
+
+        expect(result.valid).to.be.false;
+        expect(result.errors[0].error).to.equal('InvalidChainId');
+    });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const chai = require('chai');
+const { mkdtempSync, readFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { ethers } = require('hardhat');
+const { expect } = chai;
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+const { getSigner } = require('../../scripts/signer');
+const { getOperatorSetErrors, getRotation, submitRotation } = require('../../scripts/rotate-operators');
+
+describe('RotateOperators', () => {
+    let wallets;
+    let ownerWallet;
+    let simulator;
+    let chain;
+
+    before(async () => {
+        wallets = await ethers.getSigners();
+        [ownerWallet] = wallets;
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2 });
+        chain = await simulator.createChain('chainA', ownerWallet);
+    });
+
+    it('should reject operator sets the auth module would reject', () => {
+        const [a, b] = wallets.slice(10, 12).map(({ address }) => address);
+        const [low, high] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+
+        expect(getOperatorSetErrors({ operators: [low, high], weights: ['1', '1'], threshold: '2' })).to.be.empty;
+        expect(getOperatorSetErrors({ operators: [high, low], weights: ['1', '1'], threshold: '1' })[0]).to.match(/^InvalidOperators/);
+        expect(getOperatorSetErrors({ operators: [low, low], weights: ['1', '1'], threshold: '1' })[0]).to.match(/^InvalidOperators/);
+        expect(getOperatorSetErrors({ operators: [low, high], weights: ['1'], threshold: '1' })[0]).to.match(/^InvalidWeights/);
+        expect(getOperatorSetErrors({ operators: [low, high], weights: ['1', '0'], threshold: '1' })[0]).to.match(/^InvalidWeights/);
+        expect(getOperatorSetErrors({ operators: [low, high], weights: ['1', '1'], threshold: '3' })[0]).to.match(/^InvalidThreshold/);
+        expect(getOperatorSetErrors({ operators: [low, high], weights: ['1', '1'], threshold: '0' })[0]).to.match(/^InvalidThreshold/);
+    });
+
+    it('should reject the current operator set', async () => {
+        const err = await getRotation(
+            chain.gateway,
+            { operators: wallets.slice(5, 8).map(({ address }) => address), weights: [1, 1, 1], threshold: 2 },
+            wallets.slice(5, 7),
+        ).catch((err) => err);
+
+        expect(err.message).to.match(/DuplicateOperators: the operator set was already used in epoch 1/);
+    });
+
+    it('should export the rotation without waiting for it when the signer is unsigned', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'rotate-operators-'));
+        const output = join(dir, 'unsigned.json');
+
+        try {
+            const rotation = await getRotation(
+                chain.gateway,
+                { operators: wallets.slice(10, 12).map(({ address }) => address), weights: [1, 1], threshold: 2 },
+                wallets.slice(5, 7),
+            );
+            const signer = await getSigner({ unsigned: output, 'signer-address': ownerWallet.address }, ethers.provider);
+
+            expect(await submitRotation(chain.gateway.connect(signer), rotation)).to.deep.equal({ exported: output });
+            expect(JSON.parse(readFileSync(output, 'utf8'))).to.have.length(1);
+            expect((await chain.auth.currentEpoch()).toNumber()).to.equal(1);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should sign the rotation with the current operators and transfer operatorship', async () => {
+        const newOperators = wallets.slice(10, 13).map(({ address }) => address);
+        const rotation = await getRotation(
+            chain.gateway,
+            { operators: newOperators, weights: [1, 2, 3], threshold: 3 },
+            wallets.slice(5, 7),
+        );
+
+        expect(rotation.currentEpoch).to.equal(1);
+        expect(rotation.next.operators.map((operator) => operator.toLowerCase())).to.deep.equal(
+            newOperators.map((operator) => operator.toLowerCase()).sort(),
+        );
+        expect(rotation.batch.commandNames).to.deep.equal(['transferOperatorship']);
+
+        const result = await submitRotation(chain.gateway.connect(ownerWallet), rotation);
+
+        expect(result.epoch).to.equal(2);
+        expect(await chain.auth.hashForEpoch(2)).to.equal(rotation.next.operatorsHash);
+
+        const err = await getRotation(
+            chain.gateway,
+            { operators: wallets.slice(13, 15).map(({ address }) => address), weights: [1, 1], threshold: 1 },
+            wallets.slice(5, 7),
+        ).catch((err) => err);
+
+        expect(err.message).to.match(/is not part of the operator set/);
+    });
+});
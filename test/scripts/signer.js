@@ -0,0 +1,148 @@
+'use strict';
+
+const chai = require('chai');
+const http = require('http');
+const { mkdtempSync, readFileSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { ethers } = require('hardhat');
+const {
+    Wallet,
+    BigNumber,
+    utils: { parseEther },
+} = ethers;
+const { expect } = chai;
+
+const { getSigner, getSignerType, signExported, broadcastSigned } = require('../../scripts/signer');
+
+describe('Signer', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'signer-'));
+    const envKeys = ['KEYSTORE', 'KEYSTORE_PASSWORD', 'MNEMONIC', 'PRIVATE_KEY', 'SIGNER_URL', 'SIGNER_ADDRESS', 'UNSIGNED_OUTPUT'];
+
+    let ownerWallet;
+    let env;
+
+    const fund = (address) => ownerWallet.sendTransaction({ to: address, value: parseEther('1') }).then((tx) => tx.wait());
+
+    before(async () => {
+        [ownerWallet] = await ethers.getSigners();
+    });
+
+    beforeEach(() => {
+        env = Object.fromEntries(envKeys.map((key) => [key, process.env[key]]));
+        envKeys.forEach((key) => delete process.env[key]);
+    });
+
+    afterEach(() => {
+        envKeys.filter((key) => env[key] !== undefined).forEach((key) => (process.env[key] = env[key]));
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load a keystore or a mnemonic instead of a raw key', async () => {
+        const wallet = Wallet.createRandom();
+        const keystore = join(dir, 'keystore.json');
+
+        writeFileSync(keystore, await wallet.encrypt('password', { scrypt: { N: 1024 } }));
+        process.env.KEYSTORE_PASSWORD = 'password';
+
+        expect(getSignerType({})).to.equal(undefined);
+        expect((await getSigner({ keystore })).address).to.equal(wallet.address);
+
+        const path = "m/44'/60'/0'/0/1";
+
+        process.env.MNEMONIC = wallet.mnemonic.phrase;
+
+        expect(getSignerType({})).to.equal('mnemonic');
+        expect((await getSigner({ 'derivation-path': path }, ethers.provider)).address).to.equal(
+            Wallet.fromMnemonic(wallet.mnemonic.phrase, path).address,
+        );
+        expect(() => getSignerType({ keystore, unsigned: join(dir, 'unsigned.json') })).to.throw('Only one of');
+    });
+
+    it('should send transactions signed by a remote signer', async () => {
+        const remoteWallet = Wallet.createRandom();
+        const server = http.createServer((req, res) => {
+            let body = '';
+
+            req.on('data', (chunk) => (body += chunk));
+            req.on('end', async () => {
+                const { id, method, params } = JSON.parse(body);
+                let result;
+
+                if (method === 'eth_accounts') result = [remoteWallet.address.toLowerCase()];
+
+                if (method === 'eth_signTransaction') {
+                    const { from, gas, ...tx } = params[0];
+
+                    result = {
+                        raw: await remoteWallet.signTransaction({
+                            ...tx,
+                            gasLimit: gas,
+                            type: Number(tx.type),
+                            nonce: Number(tx.nonce),
+                            chainId: Number(tx.chainId),
+                        }),
+                        tx,
+                    };
+                }
+
+                res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+            });
+        });
+
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            await fund(remoteWallet.address);
+
+            const signer = await getSigner({ 'signer-url': `http://127.0.0.1:${server.address().port}` }, ethers.provider);
+            const to = Wallet.createRandom().address;
+
+            expect(signer.address).to.equal(remoteWallet.address);
+
+            await signer.sendTransaction({ to, value: 1000 }).then((tx) => tx.wait());
+
+            expect(await ethers.provider.getBalance(to)).to.deep.equal(BigNumber.from(1000));
+        } finally {
+            server.close();
+        }
+    });
+
+    it('should export unsigned transactions to sign and broadcast them later', async () => {
+        const offlineWallet = Wallet.createRandom();
+        const output = join(dir, 'unsigned.json');
+        const recipients = [Wallet.createRandom().address, Wallet.createRandom().address];
+
+        await fund(offlineWallet.address);
+
+        const signer = await getSigner({ unsigned: output, 'signer-address': offlineWallet.address }, ethers.provider);
+
+        for (const to of recipients) {
+            const tx = await signer.sendTransaction({ to, value: 1000 });
+
+            expect(tx.exported).to.equal(output);
+            expect((await tx.wait().catch((err) => err)).message).to.match(/was exported unsigned to .*, it has no receipt/);
+        }
+
+        const exported = JSON.parse(readFileSync(output, 'utf8'));
+
+        expect(exported.map(({ nonce, to }) => [nonce, to])).to.deep.equal(recipients.map((to, i) => [i, to]));
+        expect(await ethers.provider.getBalance(recipients[0])).to.deep.equal(BigNumber.from(0));
+
+        const err = await signExported(exported, Wallet.createRandom()).catch((err) => err);
+
+        expect(err.message).to.match(/is from .*, not the signer/);
+
+        const signed = await signExported(exported, offlineWallet);
+        const hashes = await broadcastSigned(signed, ethers.provider);
+
+        expect(hashes).to.have.length(2);
+
+        for (const to of recipients) {
+            expect(await ethers.provider.getBalance(to)).to.deep.equal(BigNumber.from(1000));
+        }
+    });
+});
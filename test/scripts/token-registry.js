@@ -0,0 +1,74 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers, network } = require('hardhat');
+const {
+    providers: { Web3Provider },
+    constants: { AddressZero },
+} = ethers;
+const { expect } = chai;
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+const { CommandBatch } = require('../../scripts/command-batch');
+const { getChainTokens, getRegistryReport } = require('../../scripts/token-registry');
+
+describe('TokenRegistry', () => {
+    let ownerWallet;
+    let simulator;
+    let chainA;
+    let chainB;
+    let provider;
+    let externalToken;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet] = wallets;
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2 });
+        chainA = await simulator.createChain('chainA', ownerWallet);
+        chainB = await simulator.createChain('chainB', ownerWallet);
+
+        externalToken = await ethers
+            .getContractFactory('MintableCappedERC20', ownerWallet)
+            .then((factory) => factory.deploy('External', 'EXT', 6, 0))
+            .then((d) => d.deployed());
+
+        await simulator.deployToken('Token', 'TKN', 18, 1e6, { mintLimit: 1e9 });
+        await simulator.deployToken('External', 'EXT', 18, 0, { tokenAddresses: { chainA: externalToken.address } });
+        await simulator.executeBatch('chainA', new CommandBatch(chainA.chainId).deployToken('Only A', 'ONLYA', 8, 0, AddressZero, 0));
+
+        provider = new Web3Provider(network.provider);
+    });
+
+    it('should read the metadata, type and mint limit of the gateway tokens', async () => {
+        const tokens = await getChainTokens(provider, chainA.gateway.address);
+
+        expect(tokens.map(({ symbol }) => symbol)).to.deep.equal(['EXT', 'ONLYA', 'TKN']);
+        expect(tokens[2]).to.deep.equal({
+            symbol: 'TKN',
+            address: await chainA.gateway.tokenAddresses('TKN'),
+            name: 'Token',
+            decimals: 18,
+            cap: '1000000',
+            type: 'InternalBurnableFrom',
+            mintLimit: '1000000000',
+        });
+        expect(tokens[0]).to.include({ address: externalToken.address, type: 'External', decimals: 6 });
+    });
+
+    it('should report missing symbols and mismatched decimals across chains', async () => {
+        const report = getRegistryReport({
+            chainA: await getChainTokens(provider, chainA.gateway.address),
+            chainB: await getChainTokens(provider, chainB.gateway.address),
+            chainC: { error: 'could not detect network' },
+        });
+
+        expect(report.chains).to.deep.equal(['chainA', 'chainB']);
+        expect(report.errors).to.deep.equal({ chainC: 'could not detect network' });
+        expect(Object.keys(report.symbols)).to.deep.equal(['EXT', 'ONLYA', 'TKN']);
+        expect(report.symbols.TKN.issues).to.be.empty;
+        expect(report.symbols.ONLYA.missingOn).to.deep.equal(['chainB']);
+        expect(report.symbols.ONLYA.issues).to.deep.equal(['missing on chainB']);
+        expect(report.symbols.EXT.issues).to.deep.equal(['decimals mismatch: chainA 6, chainB 18']);
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers, network } = require('hardhat');
+const {
+    Wallet,
+    providers: { Web3Provider },
+} = ethers;
+const { expect } = chai;
+
+const { GMPSimulator } = require('../../scripts/gmp-simulator');
+const { rehearseUpgrade, upgradeGateway } = require('../../scripts/upgrade-rehearsal');
+
+describe('UpgradeRehearsal', () => {
+    const symbol = 'testToken';
+
+    let ownerWallet;
+    let userWallet;
+    let simulator;
+    let chain;
+    let provider;
+
+    before(async () => {
+        const wallets = await ethers.getSigners();
+        [ownerWallet, userWallet] = wallets;
+
+        simulator = new GMPSimulator(wallets.slice(5, 8), { threshold: 2 });
+        chain = await simulator.createChain('chainA', ownerWallet);
+
+        await simulator.deployToken(symbol, symbol, 18, 0, { mintLimit: 1e9 });
+        await simulator.mintToken('chainA', symbol, userWallet.address, 1000);
+
+        provider = new Web3Provider(network.provider);
+    });
+
+    it('should upgrade the gateway as governance and pass the smoke checks', async () => {
+        const tokenAddress = await chain.gateway.tokenAddresses(symbol);
+        const result = await rehearseUpgrade(provider, chain.gateway.address, { symbols: [symbol], lookback: 1000 });
+
+        expect(result.passed).to.be.true;
+        expect(await chain.gateway.implementation()).to.equal(result.upgrade.implementation);
+        expect(result.checks.map(({ check }) => check)).to.include.members([
+            'governance',
+            'authModule',
+            `token ${symbol}`,
+            'callContract',
+            'execute',
+        ]);
+        expect(result.checks.filter(({ check }) => check.startsWith('command '))).to.have.length(2);
+        expect(result.checks.find(({ check }) => check === `token ${symbol}`).detail.after).to.deep.equal({
+            address: tokenAddress,
+            mintLimit: '1000000000',
+        });
+    });
+
+    it('should only upgrade as governance', async () => {
+        const err = await upgradeGateway(chain.gateway, userWallet).catch((err) => err);
+
+        expect(err).to.be.an('error');
+        expect(err.errorName || err.message).to.match(/NotGovernance/);
+    });
+
+    it('should stop impersonating governance once the rehearsal is done', async () => {
+        const governance = Wallet.createRandom().address;
+
+        await chain.gateway
+            .connect(ownerWallet)
+            .transferGovernance(governance)
+            .then((tx) => tx.wait());
+
+        const result = await rehearseUpgrade(provider, chain.gateway.address, { lookback: 1000 });
+        const err = await provider
+            .getSigner(governance)
+            .sendTransaction({ to: governance })
+            .catch((err) => err);
+
+        expect(result.passed).to.be.true;
+        expect(err).to.be.an('error');
+        expect(err.message).to.match(/unknown account/);
+    });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const chai = require('chai');
+const { mkdtempSync, mkdirSync, readdirSync, readFileSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { run } = require('hardhat');
+const {
+    TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+    TASK_COMPILE_SOLIDITY_RUN_SOLC,
+    TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+} = require('hardhat/builtin-tasks/task-names');
+const { expect } = chai;
+const { cloneDeep } = require('lodash');
+
+const { loadContractBuild, checkUpgradeSafety } = require('../../scripts/upgrade-safety');
+
+describe('UpgradeSafety', () => {
+    const artifacts = join(__dirname, '..', '..', 'artifacts');
+
+    let current;
+
+    before(() => {
+        current = loadContractBuild(artifacts);
+
+        // the test build does not output storage layouts
+        current.storageLayout = ['uint256', 'string', 'address', 'bytes', 'bool', 'int256'].map((type, i) => ({
+            label: `_${type.replace(/\d+/, '')}Storage`,
+            slot: `${i}`,
+            offset: 0,
+            type: `mapping(bytes32 => ${type})`,
+        }));
+    });
+
+    it('should read the gateway constants and contract id from the build', () => {
+        expect(current.contractId).to.equal('0xad2ae48b4d93c587cd1f0f8f269b84f57dbe98bbe5c61c4b6d324e6a667b3625');
+        expect(current.constants).to.include({
+            KEY_GOVERNANCE: '0xabea6fd3db56a6e6d0242111b43ebb13d1c42709651c032c7894962023a1f909',
+            PREFIX_COMMAND_EXECUTED: '0x957705a374326b30f4a1069c936d736cc9993ed6c820b4e0e2fd94a8beca0d1d',
+        });
+        expect(checkUpgradeSafety(current, cloneDeep(current))).to.deep.equal({ safe: true, breaking: [], warnings: [], info: [] });
+    });
+
+    it('should flag breaking changes of the candidate', () => {
+        const candidate = cloneDeep(current);
+
+        candidate.contractId = '0x1234';
+        candidate.constants.KEY_GOVERNANCE = candidate.constants.KEY_MINT_LIMITER;
+        delete candidate.constants.SELECTOR_BURN_TOKEN;
+        candidate.constants.PREFIX_NEW = '0x01';
+        candidate.storageLayout[1].type = 'mapping(bytes32 => bytes)';
+        candidate.storageLayout.push({ label: '_extra', slot: '6', offset: 0, type: 'uint256' });
+        candidate.abi = candidate.abi.filter(({ name }) => name !== 'governance' && name !== 'NotGovernance');
+        candidate.abi.push({ type: 'error', name: 'NewError', inputs: [] });
+
+        const result = checkUpgradeSafety(current, candidate);
+
+        expect(result.safe).to.be.false;
+        expect(result.breaking).to.deep.equal([
+            `contractId changed from ${current.contractId} to 0x1234, upgrade() reverts`,
+            'storage variable _stringStorage (mapping(bytes32 => string)) at slot 1 offset 0 is now _stringStorage (mapping(bytes32 => bytes)) at slot 1 offset 0',
+            `constant KEY_GOVERNANCE changed from ${current.constants.KEY_GOVERNANCE} to ${current.constants.KEY_MINT_LIMITER}`,
+            'function governance() was removed',
+        ]);
+        expect(result.warnings).to.deep.equal(['constant SELECTOR_BURN_TOKEN was removed', 'error NotGovernance() was removed']);
+        expect(result.info).to.deep.equal([
+            'storage variable _extra appended at slot 6',
+            'constant PREFIX_NEW = 0x01 added',
+            'error NewError() added',
+        ]);
+    });
+
+    it('should require the storage layouts', () => {
+        expect(() => checkUpgradeSafety(current, { ...current, storageLayout: undefined })).to.throw(
+            'Missing storage layout in the candidate build',
+        );
+    });
+
+    it('should read the storage layout of a build compiled with the storage layout output', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'upgrade-safety-'));
+        const buildInfoDir = join(artifacts, 'build-info');
+        const { input, solcVersion } = readdirSync(buildInfoDir)
+            .map((file) => JSON.parse(readFileSync(join(buildInfoDir, file), 'utf8')))
+            .find(({ output }) => Object.values(output.contracts).some((contracts) => contracts.AxelarGateway));
+
+        // the output STORAGE_LAYOUT=true adds, leaving out the bytecode to keep the compilation short
+        input.settings.outputSelection = { '*': { '*': ['abi', 'storageLayout'], '': ['ast'] } };
+
+        try {
+            const { isSolcJs, compilerPath } = await run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { solcVersion, quiet: true });
+            const output = isSolcJs
+                ? await run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: compilerPath })
+                : await run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: compilerPath });
+
+            mkdirSync(join(dir, 'build-info'));
+            writeFileSync(join(dir, 'build-info', 'storage-layout.json'), JSON.stringify({ input, output }));
+
+            const build = loadContractBuild(dir);
+
+            expect(build.storageLayout.map(({ label, slot, offset, type }) => ({ label, slot, offset, type }))).to.deep.equal(
+                current.storageLayout,
+            );
+            expect(checkUpgradeSafety(current, build)).to.deep.equal({ safe: true, breaking: [], warnings: [], info: [] });
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
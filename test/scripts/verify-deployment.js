@@ -0,0 +1,88 @@
+'use strict';
+
+const chai = require('chai');
+const { ethers } = require('hardhat');
+const { expect } = chai;
+const { noop } = require('lodash');
+const ConstAddressDeployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/ConstAddressDeployer.sol/ConstAddressDeployer.json');
+
+const { getRecipe } = require('../../scripts/deploy-recipes');
+const { getDeployConfig, newDeployState, deployRecipe } = require('../../scripts/deploy');
+const { getExpectedConfig, verifyDeployment } = require('../../scripts/verify-deployment');
+
+describe('VerifyDeployment', () => {
+    let ownerWallet;
+    let governanceWallet;
+    let chain;
+    let config;
+
+    before(async () => {
+        [ownerWallet, governanceWallet] = await ethers.getSigners();
+
+        const recipe = getRecipe('v6.x');
+        const constAddressDeployer = await ethers
+            .getContractFactory(ConstAddressDeployer.abi, ConstAddressDeployer.bytecode, ownerWallet)
+            .then((factory) => factory.deploy())
+            .then((d) => d.deployed());
+
+        chain = {
+            name: 'Test',
+            id: 'test',
+            constAddressDeployer: constAddressDeployer.address,
+            AxelarGateway: { governance: governanceWallet.address },
+        };
+        config = await getDeployConfig(recipe, chain, { operators: ownerWallet.address, threshold: '1' }, ownerWallet.address);
+
+        const state = newDeployState('local', chain, recipe, ownerWallet.address, config);
+
+        await deployRecipe({ env: 'local', chain, wallet: ownerWallet, recipe, state, log: noop });
+    });
+
+    it('should verify a deployment that matches the chain info', async () => {
+        const results = await verifyDeployment(ethers.provider, chain, getExpectedConfig(chain, { operators: config.operators }));
+
+        expect(results.map(({ check, status }) => [check, status])).to.deep.equal([
+            ['authModule', 'ok'],
+            ['tokenDeployer', 'ok'],
+            ['implementation', 'ok'],
+            ['implementationCodeHash', 'ok'],
+            ['governance', 'ok'],
+            ['mintLimiter', 'ok'],
+            ['authOwner', 'ok'],
+            ['operatorsHash (epoch 1)', 'ok'],
+        ]);
+    });
+
+    it('should report mismatches and skip the values without expectation', async () => {
+        const info = { ...chain, AxelarGateway: { ...chain.AxelarGateway, governance: ownerWallet.address, tokenDeployer: undefined } };
+        const operators = { ...config.operators, threshold: 2 };
+        const results = await verifyDeployment(
+            ethers.provider,
+            info,
+            getExpectedConfig(info, { operators, implementationCodeHash: ethers.constants.HashZero }),
+        );
+        const statuses = Object.fromEntries(results.map(({ check, status }) => [check, status]));
+
+        expect(statuses).to.include({
+            tokenDeployer: 'skipped',
+            implementationCodeHash: 'mismatch',
+            governance: 'mismatch',
+            mintLimiter: 'ok',
+            'operatorsHash (epoch 1)': 'mismatch',
+        });
+        expect(results.find(({ check }) => check === 'governance')).to.include({
+            expected: ownerWallet.address,
+            actual: governanceWallet.address,
+        });
+        expect(() => getExpectedConfig({ name: 'Test' })).to.throw('Missing AxelarGateway.address for Test');
+    });
+
+    it('should report the code hash of polygon-zkevm as unverifiable', async () => {
+        const info = { ...chain, id: 'polygon-zkevm' };
+        const results = await verifyDeployment(ethers.provider, info, getExpectedConfig(info, { operators: config.operators }));
+        const statuses = Object.fromEntries(results.map(({ check, status }) => [check, status]));
+
+        expect(statuses).to.include({ implementation: 'ok', implementationCodeHash: 'unverifiable', authOwner: 'ok' });
+        expect(results.find(({ check }) => check === 'implementationCodeHash').actual).to.match(/polygon-zkevm is not supported/);
+    });
+});
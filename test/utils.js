@@ -1,5 +1,6 @@
 'use strict';
 
+const http = require('http');
 const { config, ethers } = require('hardhat');
 const {
     utils: { defaultAbiCoder, id, arrayify, keccak256, toUtf8Bytes, concat },
@@ -8,6 +9,15 @@ const { network } = require('hardhat');
 const { sortBy } = require('lodash');
 const { expect } = require('chai');
 const zkevm = require('@0xpolygonhermez/zkevm-commonjs');
+const {
+    getDeployCommand,
+    getMintCommand,
+    getBurnCommand,
+    getTransferWeightedOperatorshipCommand,
+    getApproveContractCall,
+    getApproveContractCallWithMint,
+    buildCommandBatch,
+} = require('../scripts/command-batch');
 
 const getRandomInt = (max) => {
     return Math.floor(Math.random() * max);
@@ -131,6 +141,38 @@ async function getBytecodeHash(contractObject, chain = '', provider = null) {
     return keccak256(bytecode);
 }
 
+// stands in for the RPC of a remote chain by relaying requests to the test network
+async function startRpc() {
+    const relay = ({ id, method, params }) =>
+        network.provider
+            .request({ method, params })
+            .then((result) => ({ jsonrpc: '2.0', id, result }))
+            .catch((err) => ({ jsonrpc: '2.0', id, error: { code: err.code || -32603, message: err.message } }));
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', async () => {
+            const request = JSON.parse(body);
+            const response = Array.isArray(request) ? await Promise.all(request.map(relay)) : await relay(request);
+
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close() {
+            server.closeAllConnections();
+            server.close();
+        },
+    };
+}
+
 const isString = (arg) => {
     return typeof arg === 'string' && arg !== '';
 };
@@ -168,6 +210,8 @@ module.exports = {
 
     isHardhat,
 
+    startRpc,
+
     tickBlockTime: (provider, seconds) => provider.send('evm_increaseTime', [seconds]),
 
     getAuthDeployParam: (operatorSets, operatorThresholds) =>
@@ -192,39 +236,22 @@ module.exports = {
             ),
         ),
 
-    getDeployCommand: (name, symbol, decimals, cap, tokenAddress, dailyMintLimit) =>
-        defaultAbiCoder.encode(
-            ['string', 'string', 'uint8', 'uint256', 'address', 'uint256'],
-            [name, symbol, decimals, cap, tokenAddress, dailyMintLimit],
-        ),
+    getDeployCommand,
 
-    getMintCommand: (symbol, address, amount) => defaultAbiCoder.encode(['string', 'address', 'uint256'], [symbol, address, amount]),
+    getMintCommand,
 
-    getBurnCommand: (symbol, salt) => defaultAbiCoder.encode(['string', 'bytes32'], [symbol, salt]),
+    getBurnCommand,
 
     getTransferMultiOperatorshipCommand: (newOperators, threshold) =>
         defaultAbiCoder.encode(['address[]', 'uint256'], [sortBy(newOperators, (address) => address.toLowerCase()), threshold]),
 
-    getTransferWeightedOperatorshipCommand: (newOperators, newWeights, threshold) =>
-        defaultAbiCoder.encode(
-            ['address[]', 'uint256[]', 'uint256'],
-            [sortBy(newOperators, (address) => address.toLowerCase()), newWeights, threshold],
-        ),
+    getTransferWeightedOperatorshipCommand,
 
-    getApproveContractCall: (sourceChain, source, destination, payloadHash, sourceTxHash, sourceEventIndex) =>
-        defaultAbiCoder.encode(
-            ['string', 'string', 'address', 'bytes32', 'bytes32', 'uint256'],
-            [sourceChain, source, destination, payloadHash, sourceTxHash, sourceEventIndex],
-        ),
+    getApproveContractCall,
 
-    getApproveContractCallWithMint: (sourceChain, source, destination, payloadHash, symbol, amount, sourceTxHash, sourceEventIndex) =>
-        defaultAbiCoder.encode(
-            ['string', 'string', 'address', 'bytes32', 'string', 'uint256', 'bytes32', 'uint256'],
-            [sourceChain, source, destination, payloadHash, symbol, amount, sourceTxHash, sourceEventIndex],
-        ),
+    getApproveContractCallWithMint,
 
-    buildCommandBatch: (chainId, commandIDs, commandNames, commands) =>
-        arrayify(defaultAbiCoder.encode(['uint256', 'bytes32[]', 'string[]', 'bytes[]'], [chainId, commandIDs, commandNames, commands])),
+    buildCommandBatch,
 
     buildCommandBatchWithRole: (chainId, role, commandIDs, commandNames, commands) =>
         arrayify(